@@ -0,0 +1,331 @@
+#!/usr/bin/env node
+
+/**
+ * Elementary Algorithms in JavaScript
+ *
+ * Creator:
+ * Peter Bakondy
+ * https://github.com/pbakondy/elementary-algorithms-in-javascript/
+ *
+ * Based on:
+ * Elementary Algorithms and Data structures
+ * by Larry LIU Xinyu <liuxinyu95@gmail.com>
+ * https://github.com/liuxinyu95/AlgoXY
+ *
+ * License: GNU GPLv3
+ */
+
+'use strict';
+
+var utils = require('../utils/utils.js');
+
+
+/*
+
+8.1 Introduction
+
+A heap is a tree where every node is not greater than its children (min-heap),
+or not less than its children (max-heap). So the top (the root) is always the
+minimum (or the maximum), and it can be accessed in O(1) time. Removing the top
+and inserting a new element take O(lg n) time. This makes the heap the typical
+implementation of the priority queue.
+
+8.2 Implicit binary heap by array
+
+A complete binary tree can be stored in an array without any pointers: the root
+is at index 0, and the children of the node at index i are at 2i + 1 and
+2i + 2, while its parent is at ⌊(i − 1) / 2⌋.
+
+  parent(i) = ⌊(i − 1) / 2⌋
+  left(i)   = 2i + 1
+  right(i)  = 2i + 2
+
+The elements are compared with a comparator; the element ‘before’ the other is
+closer to the top. With the default comparator this is a min-heap of numbers.
+A max-heap is a min-heap with the reversed comparator.
+
+*/
+
+function parent(i) {
+  return Math.floor((i - 1) / 2);
+}
+
+function left(i) {
+  return 2 * i + 1;
+}
+
+function right(i) {
+  return 2 * i + 2;
+}
+
+function swap(A, i, j) {
+  var tmp = A[i];
+  A[i] = A[j];
+  A[j] = tmp;
+}
+
+
+/*
+
+8.2.1 Heapify
+
+If the children of the node at index i are heaps, but the node itself may be
+greater than its children, the heap property is restored by sifting it down:
+swap it with the smaller child, and continue from there, until it is not
+greater than its children. It takes O(lg n) time.
+
+Building a heap from an arbitrary array applies this to every non-leaf node,
+from the last one back to the root. Although it calls heapify n / 2 times, most
+of the nodes are close to the bottom, and the total time is O(n) [1].
+
+*/
+
+// @param <array> A
+// @param <number> i - index of the node to sift down
+// @param <number> n - size of the heap in A
+// @param <function> cmp
+function siftDown(A, i, n, cmp) {
+  while (true) {
+    let l = left(i);
+    let r = right(i);
+    let top = i;
+    if (l < n && cmp(A[l], A[top]) < 0) {
+      top = l;
+    }
+    if (r < n && cmp(A[r], A[top]) < 0) {
+      top = r;
+    }
+    if (top === i) {
+      return;
+    }
+    swap(A, i, top);
+    i = top;
+  }
+}
+
+// Turns the array into a heap in place.
+// @param <array> A
+// @param <function> cmp - optional comparator, min-heap of numbers by default
+// @return <array> A
+function heapify(A, cmp) {
+  if (!utils.isArray(A)) {
+    throw new TypeError();
+  }
+  cmp = utils.comparator(cmp);
+
+  for (var i = parent(A.length - 1); i >= 0; i--) {
+    siftDown(A, i, A.length, cmp);
+  }
+  return A;
+}
+
+
+/*
+
+8.2.2 Heap sort
+
+Build a max-heap, then repeatedly swap the top (the maximum) with the last
+element of the heap, shrink the heap by one, and sift the new top down. The
+maximum elements collect at the end of the array in increasing order. It takes
+O(n lg n) time, and sorts in place, but it is not stable.
+
+*/
+
+// @param <array> A
+// @param <function> cmp - optional comparator
+// @return <array> A sorted in place
+function heapSort(A, cmp) {
+  if (!utils.isArray(A)) {
+    throw new TypeError();
+  }
+  cmp = utils.comparator(cmp);
+
+  var reversed = function(a, b) {
+    return cmp(b, a);
+  };
+
+  heapify(A, reversed);
+  for (var n = A.length - 1; n > 0; n--) {
+    swap(A, 0, n);
+    siftDown(A, 0, n, reversed);
+  }
+  return A;
+}
+
+
+/*
+
+8.3 Priority queue
+
+The BinaryHeap object below is a priority queue on top of these functions.
+Pushing appends the element at the end and sifts it up; popping moves the last
+element to the top and sifts it down. Both take O(lg n) time.
+
+To change the key of an element already in the heap (decrease key, used by
+Dijkstra’s algorithm for example) we must know where it is. So push returns a
+handle, which keeps its current index in the array, updated at every swap. With
+the handle, decreaseKey sifts the element up, and updateKey sifts it up or down
+as needed, in O(lg n) time.
+
+*/
+
+var BinaryHeap = (function(){
+  // @param <function> cmp - optional comparator
+  // @param <boolean> max - max-heap instead of min-heap
+  function BinaryHeap(cmp, max) {
+    var compare = utils.comparator(cmp);
+
+    this.cmp = max ? function(a, b) {
+      return compare(b, a);
+    } : compare;
+    this.handles = [];
+  }
+
+  // Builds a heap of the elements of X in O(n) time.
+  BinaryHeap.from = function(X, cmp, max) {
+    if (!utils.isArray(X)) {
+      throw new TypeError();
+    }
+
+    var heap = new BinaryHeap(cmp, max);
+    heap.handles = X.map(function(key, i) {
+      return { key: key, value: undefined, index: i };
+    });
+    for (var i = parent(X.length - 1); i >= 0; i--) {
+      heap.down(i);
+    }
+    return heap;
+  };
+
+  BinaryHeap.prototype.before = function(i, j) {
+    return this.cmp(this.handles[i].key, this.handles[j].key) < 0;
+  };
+
+  BinaryHeap.prototype.swap = function(i, j) {
+    swap(this.handles, i, j);
+    this.handles[i].index = i;
+    this.handles[j].index = j;
+  };
+
+  BinaryHeap.prototype.up = function(i) {
+    while (i > 0 && this.before(i, parent(i))) {
+      this.swap(i, parent(i));
+      i = parent(i);
+    }
+  };
+
+  BinaryHeap.prototype.down = function(i) {
+    var n = this.handles.length;
+    while (true) {
+      let top = i;
+      if (left(i) < n && this.before(left(i), top)) {
+        top = left(i);
+      }
+      if (right(i) < n && this.before(right(i), top)) {
+        top = right(i);
+      }
+      if (top === i) {
+        return;
+      }
+      this.swap(i, top);
+      i = top;
+    }
+  };
+
+  BinaryHeap.prototype.size = function() {
+    return this.handles.length;
+  };
+
+  BinaryHeap.prototype.isEmpty = function() {
+    return this.handles.length === 0;
+  };
+
+  // @param <*> key
+  // @param <*> value - optional satellite data
+  // @return <object> handle { key, value, index } of the new element
+  BinaryHeap.prototype.push = function(key, value) {
+    var handle = { key: key, value: value, index: this.handles.length };
+    this.handles.push(handle);
+    this.up(handle.index);
+    return handle;
+  };
+
+  // @return <*> the top key, or undefined if the heap is empty
+  BinaryHeap.prototype.peek = function() {
+    return this.handles.length ? this.handles[0].key : undefined;
+  };
+
+  // @return <object> handle of the top element, or undefined
+  BinaryHeap.prototype.peekHandle = function() {
+    return this.handles[0];
+  };
+
+  // Removes the top element.
+  // @return <*> the top key, or undefined if the heap is empty
+  BinaryHeap.prototype.pop = function() {
+    var handle = this.popHandle();
+    return handle ? handle.key : undefined;
+  };
+
+  BinaryHeap.prototype.popHandle = function() {
+    if (!this.handles.length) {
+      return undefined;
+    }
+    var top = this.handles[0];
+    var last = this.handles.pop();
+    if (this.handles.length) {
+      this.handles[0] = last;
+      last.index = 0;
+      this.down(0);
+    }
+    top.index = -1;
+    return top;
+  };
+
+  // @param <object> handle - returned by push
+  // @param <*> key - new key
+  BinaryHeap.prototype.updateKey = function(handle, key) {
+    if (!handle || this.handles[handle.index] !== handle) {
+      throw new RangeError('The handle is not in this heap');
+    }
+
+    handle.key = key;
+    this.up(handle.index);
+    this.down(handle.index);
+  };
+
+  // Like updateKey, but the new key must not move the element away from the
+  // top (must not be greater in a min-heap).
+  BinaryHeap.prototype.decreaseKey = function(handle, key) {
+    if (!handle || this.handles[handle.index] !== handle) {
+      throw new RangeError('The handle is not in this heap');
+    }
+    if (this.cmp(key, handle.key) > 0) {
+      throw new RangeError('The new key is worse than the current key');
+    }
+
+    handle.key = key;
+    this.up(handle.index);
+  };
+
+  return BinaryHeap;
+})();
+
+
+/*
+
+Bibliography
+
+[1] Thomas H. Cormen, Charles E. Leiserson, Ronald L. Rivest and Clifford
+    Stein. “Introduction to Algorithms, Second Edition”. ISBN:0262032937.
+    The MIT Press. 2001
+
+*/
+
+
+
+module.exports = {
+  heapify: heapify,
+  heapSort: heapSort,
+  BinaryHeap: BinaryHeap
+};
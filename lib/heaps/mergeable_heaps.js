@@ -0,0 +1,737 @@
+#!/usr/bin/env node
+
+/**
+ * Elementary Algorithms in JavaScript
+ *
+ * Creator:
+ * Peter Bakondy
+ * https://github.com/pbakondy/elementary-algorithms-in-javascript/
+ *
+ * Based on:
+ * Elementary Algorithms and Data structures
+ * by Larry LIU Xinyu <liuxinyu95@gmail.com>
+ * https://github.com/liuxinyu95/AlgoXY
+ *
+ * License: GNU GPLv3
+ */
+
+'use strict';
+
+var utils = require('../utils/utils.js');
+
+
+/*
+
+10.1 Introduction
+
+The binary heap supports insert, find-min and delete-min efficiently, but
+merging two binary heaps takes O(n) time, since the arrays must be rebuilt. The
+heaps in this chapter are built from linked trees instead of an array, so two of
+them can be merged quickly. They all implement the same interface, so an
+algorithm (Dijkstra’s shortest path for example) can use any of them:
+
+• insert(key, value) adds a new element, and returns its handle;
+
+• findMin() returns the handle of the minimum element, without removing it;
+
+• deleteMin() removes the minimum element, and returns its handle;
+
+• merge(other) moves all the elements of the other heap (of the same kind and
+  with the same comparator) into this one, leaving the other heap empty;
+
+• decreaseKey(handle, key) makes the key of the element smaller. Like in the
+  binary heap, a handle which is not in the heap (deleted, or of another heap)
+  is a RangeError;
+
+• size() and isEmpty();
+
+• verify() checks all the invariants of the heap, and returns true if they hold.
+
+A handle is an object with the key and the value of an element. The elements are
+ordered by a comparator, a min-heap of numbers by default.
+
+The amortized running times are the following [1] [2]:
+
+              insert  findMin  deleteMin  merge  decreaseKey
+  binomial    O(1)    O(lg n)  O(lg n)    O(lg n)  O(lg n)
+  Fibonacci   O(1)    O(1)     O(lg n)    O(1)     O(1)
+  pairing     O(1)    O(1)     O(lg n)    O(1)     o(lg n)
+
+Every handle refers to the owner token of its heap, and a deleted handle to
+none. Merging would have to update all the handles of the other heap, so the
+token of the other heap is forwarded to the token of this one instead, and the
+other heap gets a new token. Following the forwards with path compression, as
+in union-find, takes nearly O(1) amortized time.
+
+*/
+
+function Owner() {
+  this.next = null;
+}
+
+// @return <Owner> the token at the end of the forwards
+function owner(token) {
+  var root = token;
+  while (root.next) {
+    root = root.next;
+  }
+  while (token !== root) {
+    let next = token.next;
+    token.next = root;
+    token = next;
+  }
+  return root;
+}
+
+// forward the token of the other heap to the token of the heap
+function takeOver(heap, other) {
+  other.owner.next = heap.owner;
+  other.owner = new Owner();
+}
+
+function checkDecrease(heap, handle, key) {
+  if (!handle || !handle.owner || owner(handle.owner) !== heap.owner) {
+    throw new RangeError('The handle is not in this heap');
+  }
+  if (heap.cmp(key, handle.key) > 0) {
+    throw new RangeError('The new key is greater than the current key');
+  }
+}
+
+
+/*
+
+10.2 Binomial heap
+
+A binomial tree of rank 0 is a single node. A binomial tree of rank r is two
+binomial trees of rank r − 1 linked together: the root with the greater key
+becomes the last child of the other root. So a tree of rank r has 2^r nodes, and
+its root has r children, of ranks 0, 1, ..., r − 1.
+
+A binomial heap is a list of heap ordered binomial trees with distinct ranks.
+Since a tree of rank r has 2^r nodes, the ranks present in a heap of n elements
+are the 1 bits of n, like a binary number. Merging two heaps is then the binary
+addition: trees of the same rank are linked into one of the next rank as a
+carry. There are O(lg n) trees, so merge takes O(lg n) time. Insertion is
+merging with a single node heap, but it is done in place, like incrementing a
+binary counter: the new tree is linked with the trees of rank 0, 1, ... as long
+as they are present, and it takes O(1) amortized time.
+
+The minimum is one of the roots. Deleting it leaves its children, which are
+trees of ranks 0 .. r − 1, a binomial heap themselves, and it is merged back.
+
+To decrease a key, the element bubbles up by swapping with its parent. The nodes
+don’t move, their contents are swapped, so every node points to its handle and
+every handle to its node.
+
+*/
+
+var BinomialHeap = (function(){
+  // @param <function> cmp - optional comparator
+  function BinomialHeap(cmp) {
+    this.cmp = utils.comparator(cmp);
+    // trees[r] is the tree of rank r, or null
+    this.trees = [];
+    this.count = 0;
+    this.owner = new Owner();
+  }
+
+  function Node(handle) {
+    this.handle = handle;
+    this.parent = null;
+    this.children = [];
+    handle.node = this;
+  }
+
+  // link two trees of the same rank
+  BinomialHeap.prototype.link = function(a, b) {
+    if (this.cmp(b.handle.key, a.handle.key) < 0) {
+      let tmp = a;
+      a = b;
+      b = tmp;
+    }
+    a.children.push(b);
+    b.parent = a;
+    return a;
+  };
+
+  // add the lists of trees a and b, indexed by rank, like binary numbers
+  BinomialHeap.prototype.add = function(a, b) {
+    var result = [];
+    var carry = null;
+    var n = Math.max(a.length, b.length);
+
+    for (var r = 0; r < n || carry; r++) {
+      let trees = [a[r], b[r], carry].filter(Boolean);
+      carry = null;
+      result[r] = null;
+      if (trees.length === 1) {
+        result[r] = trees[0];
+      } else if (trees.length === 2) {
+        carry = this.link(trees[0], trees[1]);
+      } else if (trees.length === 3) {
+        result[r] = trees[0];
+        carry = this.link(trees[1], trees[2]);
+      }
+    }
+    while (result.length && !result[result.length - 1]) {
+      result.pop();
+    }
+    return result;
+  };
+
+  BinomialHeap.prototype.size = function() {
+    return this.count;
+  };
+
+  BinomialHeap.prototype.isEmpty = function() {
+    return this.count === 0;
+  };
+
+  BinomialHeap.prototype.insert = function(key, value) {
+    var handle = { key: key, value: value, node: null, owner: this.owner };
+    var carry = new Node(handle);
+    var r = 0;
+    while (this.trees[r]) {
+      carry = this.link(this.trees[r], carry);
+      this.trees[r] = null;
+      r = r + 1;
+    }
+    this.trees[r] = carry;
+    this.count = this.count + 1;
+    return handle;
+  };
+
+  // @return <number> rank of the tree with the minimum root, or -1
+  BinomialHeap.prototype.minRank = function() {
+    var rank = -1;
+    for (var r = 0; r < this.trees.length; r++) {
+      if (this.trees[r] && (rank < 0 ||
+          this.cmp(this.trees[r].handle.key, this.trees[rank].handle.key) < 0)) {
+        rank = r;
+      }
+    }
+    return rank;
+  };
+
+  BinomialHeap.prototype.findMin = function() {
+    var r = this.minRank();
+    return r < 0 ? undefined : this.trees[r].handle;
+  };
+
+  BinomialHeap.prototype.deleteMin = function() {
+    var r = this.minRank();
+    if (r < 0) {
+      return undefined;
+    }
+    var root = this.trees[r];
+    this.trees[r] = null;
+    root.children.forEach(function(child) {
+      child.parent = null;
+    });
+    this.trees = this.add(this.trees, root.children);
+    this.count = this.count - 1;
+    root.handle.node = null;
+    root.handle.owner = null;
+    return root.handle;
+  };
+
+  BinomialHeap.prototype.merge = function(other) {
+    this.trees = this.add(this.trees, other.trees);
+    this.count = this.count + other.count;
+    takeOver(this, other);
+    other.trees = [];
+    other.count = 0;
+    return this;
+  };
+
+  BinomialHeap.prototype.decreaseKey = function(handle, key) {
+    checkDecrease(this, handle, key);
+
+    var x = handle.node;
+    handle.key = key;
+    while (x.parent && this.cmp(x.handle.key, x.parent.handle.key) < 0) {
+      let y = x.parent;
+      let tmp = x.handle;
+      x.handle = y.handle;
+      y.handle = tmp;
+      x.handle.node = x;
+      y.handle.node = y;
+      x = y;
+    }
+  };
+
+  BinomialHeap.prototype.verify = function() {
+    var count = 0;
+    for (var r = 0; r < this.trees.length; r++) {
+      if (!this.trees[r]) {
+        continue;
+      }
+      if (this.trees[r].parent) {
+        return false;
+      }
+      // node, expected rank
+      let stack = [[this.trees[r], r]];
+      while (stack.length) {
+        let item = stack.pop();
+        let x = item[0];
+        if (x.children.length !== item[1] || x.handle.node !== x) {
+          return false;
+        }
+        for (let i = 0; i < x.children.length; i++) {
+          let child = x.children[i];
+          if (child.parent !== x || this.cmp(child.handle.key, x.handle.key) < 0) {
+            return false;
+          }
+          stack.push([child, i]);
+        }
+        count = count + 1;
+      }
+    }
+    return count === this.count;
+  };
+
+  return BinomialHeap;
+})();
+
+
+/*
+
+10.3 Fibonacci heap
+
+The Fibonacci heap [1] is a lazy binomial heap. Insertion and merge just add the
+new trees to the list of roots, in O(1) time, and the minimum root is kept
+track of. All the work is postponed to deleteMin: after the minimum is removed
+and its children are added to the roots, the roots are consolidated, so that
+trees of the same rank (number of children) are linked, until all the ranks are
+distinct.
+
+Decreasing a key cuts the node from its parent, if the heap order is broken,
+and makes it a new root in O(1) time. To keep the trees bushy, a node may lose
+only one child: it is marked when it loses the first one, and when a marked node
+loses another child, it is cut as well, and this cascades up. This guarantees
+that a tree of rank r has at least F(r + 2) nodes, where F is the Fibonacci
+sequence, hence the name, and the ranks stay O(lg n).
+
+The roots and the children of a node are kept in circular doubly linked lists,
+so two lists can be concatenated, and a node can be removed in O(1) time. The
+nodes are the handles themselves.
+
+*/
+
+var FibonacciHeap = (function(){
+  // @param <function> cmp - optional comparator
+  function FibonacciHeap(cmp) {
+    this.cmp = utils.comparator(cmp);
+    this.min = null;
+    this.count = 0;
+    this.owner = new Owner();
+  }
+
+  function Node(key, value, owner) {
+    this.key = key;
+    this.value = value;
+    this.owner = owner;
+    this.parent = null;
+    this.child = null;
+    this.left = this;
+    this.right = this;
+    this.degree = 0;
+    this.mark = false;
+  }
+
+  // concatenate the circular lists of a and b, either may be null
+  function splice(a, b) {
+    if (!a) {
+      return b;
+    }
+    if (!b) {
+      return a;
+    }
+    var aRight = a.right;
+    var bLeft = b.left;
+    a.right = b;
+    b.left = a;
+    bLeft.right = aRight;
+    aRight.left = bLeft;
+    return a;
+  }
+
+  // remove x from its circular list
+  function unlink(x) {
+    x.left.right = x.right;
+    x.right.left = x.left;
+    x.left = x;
+    x.right = x;
+  }
+
+  // nodes of the circular list starting at x
+  function list(x) {
+    var nodes = [];
+    var y = x;
+    if (x) {
+      do {
+        nodes.push(y);
+        y = y.right;
+      } while (y !== x);
+    }
+    return nodes;
+  }
+
+  FibonacciHeap.prototype.size = function() {
+    return this.count;
+  };
+
+  FibonacciHeap.prototype.isEmpty = function() {
+    return this.count === 0;
+  };
+
+  // add a single root x, and update the minimum
+  FibonacciHeap.prototype.addRoot = function(x) {
+    x.parent = null;
+    x.mark = false;
+    this.min = splice(this.min, x);
+    if (this.cmp(x.key, this.min.key) < 0) {
+      this.min = x;
+    }
+  };
+
+  FibonacciHeap.prototype.insert = function(key, value) {
+    var x = new Node(key, value, this.owner);
+    this.addRoot(x);
+    this.count = this.count + 1;
+    return x;
+  };
+
+  FibonacciHeap.prototype.findMin = function() {
+    return this.min || undefined;
+  };
+
+  FibonacciHeap.prototype.merge = function(other) {
+    var min = other.min;
+    this.min = splice(this.min, min);
+    if (min && this.cmp(min.key, this.min.key) < 0) {
+      this.min = min;
+    }
+    this.count = this.count + other.count;
+    takeOver(this, other);
+    other.min = null;
+    other.count = 0;
+    return this;
+  };
+
+  FibonacciHeap.prototype.deleteMin = function() {
+    var z = this.min;
+    if (!z) {
+      return undefined;
+    }
+    list(z.child).forEach(function(x) {
+      x.parent = null;
+    });
+    splice(z, z.child);
+    z.child = null;
+    z.degree = 0;
+    this.min = (z.right === z) ? null : z.right;
+    unlink(z);
+    z.owner = null;
+    this.count = this.count - 1;
+    this.consolidate();
+    return z;
+  };
+
+  // link the roots until all the ranks are distinct
+  FibonacciHeap.prototype.consolidate = function() {
+    var byDegree = [];
+    var roots = list(this.min);
+
+    for (var i = 0; i < roots.length; i++) {
+      let x = roots[i];
+      let d = x.degree;
+      while (byDegree[d]) {
+        let y = byDegree[d];
+        if (this.cmp(y.key, x.key) < 0) {
+          let tmp = x;
+          x = y;
+          y = tmp;
+        }
+        // y becomes a child of x
+        unlink(y);
+        y.parent = x;
+        y.mark = false;
+        x.child = splice(x.child, y);
+        x.degree = x.degree + 1;
+        byDegree[d] = null;
+        d = d + 1;
+      }
+      byDegree[d] = x;
+    }
+
+    this.min = null;
+    byDegree.forEach(function(x) {
+      if (x) {
+        unlink(x);
+        this.addRoot(x);
+      }
+    }, this);
+  };
+
+  // cut x from its parent y, and make it a root
+  FibonacciHeap.prototype.cut = function(x, y) {
+    if (y.child === x) {
+      y.child = (x.right === x) ? null : x.right;
+    }
+    unlink(x);
+    y.degree = y.degree - 1;
+    this.addRoot(x);
+  };
+
+  FibonacciHeap.prototype.decreaseKey = function(x, key) {
+    checkDecrease(this, x, key);
+
+    x.key = key;
+    var y = x.parent;
+    if (y && this.cmp(x.key, y.key) < 0) {
+      this.cut(x, y);
+      // cascading cut
+      let z = y.parent;
+      while (z) {
+        if (!y.mark) {
+          y.mark = true;
+          break;
+        }
+        this.cut(y, z);
+        y = z;
+        z = y.parent;
+      }
+    }
+    if (this.cmp(x.key, this.min.key) < 0) {
+      this.min = x;
+    }
+  };
+
+  FibonacciHeap.prototype.verify = function() {
+    var count = 0;
+    var roots = list(this.min);
+    var stack = [];
+
+    for (var i = 0; i < roots.length; i++) {
+      if (roots[i].parent || this.cmp(roots[i].key, this.min.key) < 0) {
+        return false;
+      }
+      stack.push(roots[i]);
+    }
+    while (stack.length) {
+      let x = stack.pop();
+      let children = list(x.child);
+      if (children.length !== x.degree) {
+        return false;
+      }
+      for (let j = 0; j < children.length; j++) {
+        let y = children[j];
+        if (y.parent !== x || y.left.right !== y || y.right.left !== y ||
+            this.cmp(y.key, x.key) < 0) {
+          return false;
+        }
+        stack.push(y);
+      }
+      count = count + 1;
+    }
+    return count === this.count;
+  };
+
+  return FibonacciHeap;
+})();
+
+
+/*
+
+10.4 Pairing heap
+
+The pairing heap [3] is a single heap ordered tree with any number of children.
+Merging two heaps links the roots: the greater one becomes the first child of
+the other. Insertion is merging with a single node heap. Both take O(1) time.
+
+After the root is deleted, its children are merged in two passes: first they
+are linked in pairs from left to right, then the pairs are merged from right to
+left. This simple rule gives O(lg n) amortized time for deleteMin. The passes
+are done with loops, so a long list of children (after many insertions) doesn’t
+overflow the call stack.
+
+To decrease a key, the subtree is cut from its parent, and merged with the root.
+Every node points to its first child, its next sibling, and to the previous
+node, which is the left sibling, or the parent for the first child, so the cut
+takes O(1) time. The nodes are the handles themselves.
+
+*/
+
+var PairingHeap = (function(){
+  // @param <function> cmp - optional comparator
+  function PairingHeap(cmp) {
+    this.cmp = utils.comparator(cmp);
+    this.root = null;
+    this.count = 0;
+    this.owner = new Owner();
+  }
+
+  function Node(key, value, owner) {
+    this.key = key;
+    this.value = value;
+    this.owner = owner;
+    this.child = null;
+    this.sibling = null;
+    this.prev = null;
+  }
+
+  // link the roots a and b, either may be null
+  PairingHeap.prototype.link = function(a, b) {
+    if (!a) {
+      return b;
+    }
+    if (!b) {
+      return a;
+    }
+    if (this.cmp(b.key, a.key) < 0) {
+      let tmp = a;
+      a = b;
+      b = tmp;
+    }
+    b.sibling = a.child;
+    if (a.child) {
+      a.child.prev = b;
+    }
+    b.prev = a;
+    a.child = b;
+    return a;
+  };
+
+  PairingHeap.prototype.size = function() {
+    return this.count;
+  };
+
+  PairingHeap.prototype.isEmpty = function() {
+    return this.count === 0;
+  };
+
+  PairingHeap.prototype.insert = function(key, value) {
+    var x = new Node(key, value, this.owner);
+    this.root = this.link(this.root, x);
+    this.count = this.count + 1;
+    return x;
+  };
+
+  PairingHeap.prototype.findMin = function() {
+    return this.root || undefined;
+  };
+
+  PairingHeap.prototype.merge = function(other) {
+    this.root = this.link(this.root, other.root);
+    this.count = this.count + other.count;
+    takeOver(this, other);
+    other.root = null;
+    other.count = 0;
+    return this;
+  };
+
+  PairingHeap.prototype.deleteMin = function() {
+    var x = this.root;
+    if (!x) {
+      return undefined;
+    }
+
+    // first pass: link the children in pairs from left to right
+    var pairs = [];
+    var y = x.child;
+    while (y) {
+      let a = y;
+      let b = y.sibling;
+      y = b ? b.sibling : null;
+      a.sibling = a.prev = null;
+      if (b) {
+        b.sibling = b.prev = null;
+      }
+      pairs.push(this.link(a, b));
+    }
+    // second pass: merge the pairs from right to left
+    var root = pairs.length ? pairs.pop() : null;
+    while (pairs.length) {
+      root = this.link(pairs.pop(), root);
+    }
+
+    this.root = root;
+    x.child = null;
+    x.owner = null;
+    this.count = this.count - 1;
+    return x;
+  };
+
+  PairingHeap.prototype.decreaseKey = function(x, key) {
+    checkDecrease(this, x, key);
+
+    x.key = key;
+    if (x === this.root) {
+      return;
+    }
+    // cut the subtree of x
+    if (x.prev.child === x) {
+      x.prev.child = x.sibling;
+    } else {
+      x.prev.sibling = x.sibling;
+    }
+    if (x.sibling) {
+      x.sibling.prev = x.prev;
+    }
+    x.sibling = x.prev = null;
+    this.root = this.link(this.root, x);
+  };
+
+  PairingHeap.prototype.verify = function() {
+    var count = 0;
+    var stack = this.root ? [this.root] : [];
+
+    if (this.root && (this.root.prev || this.root.sibling)) {
+      return false;
+    }
+    while (stack.length) {
+      let x = stack.pop();
+      let prev = x;
+      for (let y = x.child; y; y = y.sibling) {
+        if (y.prev !== prev || this.cmp(y.key, x.key) < 0) {
+          return false;
+        }
+        stack.push(y);
+        prev = y;
+      }
+      count = count + 1;
+    }
+    return count === this.count;
+  };
+
+  return PairingHeap;
+})();
+
+
+/*
+
+Bibliography
+
+[1] Thomas H. Cormen, Charles E. Leiserson, Ronald L. Rivest and Clifford
+    Stein. “Introduction to Algorithms, Second Edition”. ISBN:0262032937.
+    The MIT Press. 2001
+
+[2] Michael L. Fredman, Robert Endre Tarjan. “Fibonacci heaps and their uses in
+    improved network optimization algorithms”. Journal of the ACM, 34(3):
+    596–615. 1987
+
+[3] Michael L. Fredman, Robert Sedgewick, Daniel D. Sleator, and Robert E.
+    Tarjan. “The Pairing Heap: A New Form of Self-Adjusting Heap”.
+    Algorithmica (1986) 1: 111–129
+
+*/
+
+
+
+module.exports = {
+  BinomialHeap: BinomialHeap,
+  FibonacciHeap: FibonacciHeap,
+  PairingHeap: PairingHeap
+};
@@ -0,0 +1,291 @@
+#!/usr/bin/env node
+
+/**
+ * Elementary Algorithms in JavaScript
+ *
+ * Creator:
+ * Peter Bakondy
+ * https://github.com/pbakondy/elementary-algorithms-in-javascript/
+ *
+ * Based on:
+ * Elementary Algorithms and Data structures
+ * by Larry LIU Xinyu <liuxinyu95@gmail.com>
+ * https://github.com/liuxinyu95/AlgoXY
+ *
+ * License: GNU GPLv3
+ */
+
+'use strict';
+
+var utils = require('../utils/utils.js');
+var binaryHeap = require('./binary_heap.js');
+
+
+/*
+
+9.1 Introduction
+
+When we eat a bunch of grapes, there are two kinds of people: one picks the
+best grape every time, the other always picks the worst one. Either way, this is
+selection sort: repeatedly select the minimum (or the maximum) of the remaining
+elements, and put it after the already sorted ones.
+
+  sort [] = []
+  sort A  = m : sort (A − [m])   where m = min(A)
+
+All the functions below sort the array A in place in ascending order of the
+comparator, and return it. With a reversed comparator they sort in descending
+order.
+
+9.2 Naive selection sort
+
+Finding the minimum takes a linear scan, and it is done n times, so the naive
+selection sort takes O(n²) time, no matter what the input is. It does at most
+n − 1 swaps, though, which may matter when moving the elements is expensive.
+
+*/
+
+function swap(A, i, j) {
+  var tmp = A[i];
+  A[i] = A[j];
+  A[j] = tmp;
+}
+
+function checkArray(A) {
+  if (!utils.isArray(A)) {
+    throw new TypeError();
+  }
+}
+
+// @param <array> A
+// @param <function> cmp - optional comparator
+// @return <array> A sorted in place
+function selectionSort(A, cmp) {
+  checkArray(A);
+  cmp = utils.comparator(cmp);
+
+  for (var i = 0; i < A.length - 1; i++) {
+    let m = i;
+    for (let j = i + 1; j < A.length; j++) {
+      if (cmp(A[j], A[m]) < 0) {
+        m = j;
+      }
+    }
+    swap(A, i, m);
+  }
+  return A;
+}
+
+
+/*
+
+9.3 Cocktail sort
+
+A scan can find the minimum and the maximum at the same time. The minimum goes to
+the front, the maximum to the back of the unsorted range, so the number of scans
+is halved. It is still O(n²).
+
+  sort []  = []
+  sort [x] = [x]
+  sort A   = a : sort (A − [a, b]) ++ [b]   where a = min(A), b = max(A)
+
+Care must be taken when the maximum is at the front: the first swap moves it to
+the place of the minimum.
+
+*/
+
+// @param <array> A
+// @param <function> cmp - optional comparator
+// @return <array> A sorted in place
+function cocktailSort(A, cmp) {
+  checkArray(A);
+  cmp = utils.comparator(cmp);
+
+  for (var l = 0, u = A.length - 1; l < u; l++, u--) {
+    let min = l;
+    let max = u;
+    for (let i = l; i <= u; i++) {
+      if (cmp(A[i], A[min]) < 0) {
+        min = i;
+      }
+      if (cmp(A[max], A[i]) < 0) {
+        max = i;
+      }
+    }
+    swap(A, l, min);
+    if (max === l) {
+      max = min;
+    }
+    swap(A, u, max);
+  }
+  return A;
+}
+
+
+/*
+
+9.4 Tournament knockout
+
+In a knockout tournament (like the football world cup) every player plays a
+match with a neighbour, and the winners go to the next round, until the champion
+remains. The tournament is a complete binary tree: the players are the leaves,
+and every branch is the winner of its two children. The root is the minimum.
+
+The second best player lost to the champion at some point, so it is one of the
+players the champion has beaten. To find it, the champion is removed (replaced
+by a player who loses every match, −∞ in the book, or an empty leaf here), and
+only the matches on its path to the root are replayed, which takes O(lg n) time.
+So tournament knockout sort takes O(n lg n) time.
+
+The tree is stored in an array like the binary heap: the root is at index 1,
+the children of i are at 2i and 2i + 1, and the leaves start at index m, the
+smallest power of 2 not less than n. The branches hold the index of the winner
+in the array, or -1 for an empty player. When two players are equal, the left one
+wins, so the sort is stable.
+
+*/
+
+// @param <array> A
+// @param <function> cmp - optional comparator
+// @return <array> the tournament tree of the indices of A
+function tournament(A, cmp) {
+  var m = 1;
+  while (m < A.length) {
+    m = m * 2;
+  }
+
+  var T = new Int32Array(2 * m).fill(-1);
+  for (var i = 0; i < A.length; i++) {
+    T[m + i] = i;
+  }
+  for (var j = m - 1; j > 0; j--) {
+    T[j] = winner(A, T[2 * j], T[2 * j + 1], cmp);
+  }
+  return T;
+}
+
+function winner(A, a, b, cmp) {
+  if (a < 0) {
+    return b;
+  }
+  if (b < 0) {
+    return a;
+  }
+  return cmp(A[b], A[a]) < 0 ? b : a;
+}
+
+// @param <array> A
+// @param <function> cmp - optional comparator
+// @return <array> A sorted in place
+function tournamentSort(A, cmp) {
+  checkArray(A);
+  cmp = utils.comparator(cmp);
+
+  var T = tournament(A, cmp);
+  var m = T.length / 2;
+  var sorted = [];
+
+  while (T[1] >= 0) {
+    let i = T[1];
+    sorted.push(A[i]);
+    // knock out the champion, and replay its matches
+    let j = m + i;
+    T[j] = -1;
+    for (j = j >> 1; j > 0; j = j >> 1) {
+      T[j] = winner(A, T[2 * j], T[2 * j + 1], cmp);
+    }
+  }
+
+  for (var k = 0; k < sorted.length; k++) {
+    A[k] = sorted[k];
+  }
+  return A;
+}
+
+
+/*
+
+9.5 Heap sort
+
+The tournament tree is a heap, in which every branch is a copy of one of its
+children. The binary heap (chapter 8) does the same with one slot per element:
+build a heap in O(n) time, then pop the minimum n times, each pop takes
+O(lg n) time. This is the final step of the evolution.
+
+*/
+
+// @param <array> A
+// @param <function> cmp - optional comparator
+// @return <array> A sorted in place
+function heapSelectionSort(A, cmp) {
+  checkArray(A);
+
+  var heap = binaryHeap.BinaryHeap.from(A, cmp);
+  for (var i = 0; !heap.isEmpty(); i++) {
+    A[i] = heap.pop();
+  }
+  return A;
+}
+
+
+/*
+
+9.6 Top k
+
+Often only the first k elements are needed, for example the best k players of a
+leaderboard. There is no need to sort all of them: keep the best k elements seen
+so far in a heap of size k, with the worst of them on the top. Every new element
+that is better than the top replaces it. This takes O(n lg k) time and O(k)
+space, and the list can be traversed only once.
+
+*/
+
+// @param <array> list
+// @param <number> k - number of elements to keep
+// @param <function> cmp - optional comparator
+// @return <array> the first k elements of the sorted list, in order
+function topK(list, k, cmp) {
+  checkArray(list);
+  if (!Number.isInteger(k) || k < 0) {
+    throw new TypeError();
+  }
+  cmp = utils.comparator(cmp);
+
+  // max-heap: the worst of the best k elements is on the top
+  var heap = new binaryHeap.BinaryHeap(cmp, true);
+  for (var i = 0; i < list.length && k > 0; i++) {
+    if (heap.size() < k) {
+      heap.push(list[i]);
+    } else if (cmp(list[i], heap.peek()) < 0) {
+      heap.pop();
+      heap.push(list[i]);
+    }
+  }
+
+  var result = [];
+  while (!heap.isEmpty()) {
+    result.push(heap.pop());
+  }
+  return result.reverse();
+}
+
+
+/*
+
+Bibliography
+
+[1] Donald E. Knuth. “The Art of Computer Programming, Volume 3: Sorting and
+    Searching (2nd Edition)”. Addison-Wesley Professional; 2 edition (May 4,
+    1998) ISBN-10: 0201896850 ISBN-13: 978-0201896855
+
+*/
+
+
+
+module.exports = {
+  selectionSort: selectionSort,
+  cocktailSort: cocktailSort,
+  tournamentSort: tournamentSort,
+  heapSelectionSort: heapSelectionSort,
+  topK: topK
+};
@@ -18,6 +18,7 @@
 'use strict';
 
 var utils = require('../utils/utils.js');
+var queue = require('../queues/queue.js');
 
 
 /*
@@ -115,7 +116,7 @@ function getNumber2(n) {
     throw new TypeError();
   }
 
-  var Q = [];
+  var Q = new queue.CircularQueue();
   enqueue(Q, 1);
 
   var x;
@@ -130,37 +131,43 @@ function getNumber2(n) {
   return x;
 }
 
+// The queues are circular buffers (chapter 11), so enqueue and dequeue take
+// O(1) time. Array.prototype.shift would move all the remaining elements.
+
 function enqueue(Q, x) {
-  Q.push(x);
+  Q.enqueue(x);
 }
 
 function dequeue(Q) {
-  return Q.shift();
+  return Q.dequeue();
 }
 
 function uniqueEnqueue(Q, x) {
-  var i = 0;
-  while ((i < Q.length) && (Q[i] < x)) {
-    i = i + 1;
-  }
-  if ((i < Q.length) && (x === Q[i])) {
-    return;
+  var n = Q.size();
+  var found = false;
+
+  // rotate the queue once, and put x before the first greater element
+  for (var i = 0; i < n; i++) {
+    var y = dequeue(Q);
+    if (!found && x <= y) {
+      if (x < y) {
+        enqueue(Q, x);
+      }
+      found = true;
+    }
+    enqueue(Q, y);
   }
-  insert(Q, i, x);
-}
-
-function insert(Q, i, x) {
-  for(var a = Q.length; a > i; a--) {
-    Q[a] = Q[a - 1];
+  if (!found) {
+    enqueue(Q, x);
   }
-  Q[i] = x;
 }
 
 
 /*
 
-The insert function takes O(|Q|) time to find the proper position and insert
-it. If the element has already existed, it just returns.
+The uniqueEnqueue function takes O(|Q|) time to find the proper position and
+insert it, by rotating the whole queue. If the element has already existed, it
+is dropped.
 
 A rough estimation tells that the length of the queue increase proportion to n,
 (each time, we extract one element, and pushed 3 new, the increase ratio ≤ 2),
@@ -229,9 +236,9 @@ function getNumber3(n) {
     return 1;
   }
 
-  var Q2 = [];
-  var Q3 = [];
-  var Q5 = [];
+  var Q2 = new queue.CircularQueue();
+  var Q3 = new queue.CircularQueue();
+  var Q5 = new queue.CircularQueue();
 
   enqueue(Q2, 2);
   enqueue(Q3, 3);
@@ -259,7 +266,7 @@ function getNumber3(n) {
 }
 
 function head(Q) {
-  return Q[0];
+  return Q.head();
 }
 
 
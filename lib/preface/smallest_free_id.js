@@ -18,6 +18,8 @@
 'use strict';
 
 var utils = require('../utils/utils.js');
+var sorting = require('../sorting/quick_merge_sort.js');
+var StringDecoder = require('string_decoder').StringDecoder;
 
 
 /*
@@ -40,17 +42,93 @@ It seems this problem is trivial. However, There will be millions of IDs in a
 large system. The speed of this solution is poor in such case for it takes O(n^2)
 time, where n is the length of the ID list.
 
+The list may come from anywhere, so it can hold values which are not IDs at
+all: negative numbers, fractions, NaN, or holes of a sparse array. Such values
+would make the algorithms below return wrong answers (minFree2 would set the
+flag F[-1], minFree3 would put fractions into its halves), so every variant
+takes an optional options object:
+
+• lowerBound: the smallest ID, 0 by default. When the IDs start at 1000, the
+  answer is the smallest free ID not less than 1000, and the values below 1000
+  are not IDs;
+
+• strict: the values which are not IDs are skipped by default. In strict mode
+  they are errors instead: a TypeError for a value which is not an integer, and
+  a RangeError for an integer below lowerBound, both naming the index of the
+  value.
+
+The variants shift the valid IDs down by lowerBound, solve the problem from 0,
+and shift the answer back. Arrays and typed arrays are both accepted.
+
+An ID may also be listed more than once. It is still just one used ID, so the
+duplicates aren’t errors, even in strict mode, but minFree3 and minFree4 count
+the IDs in a range to tell whether the range is full, and a duplicate makes a
+range with a free ID look full (minFree4 would even loop forever). So the
+duplicates are dropped while the IDs are shifted; minFree4, which works in
+place, handles them in 0.2.3.
+
 */
 
-function minFree1(A) {
-  if (!utils.isArray(A)) {
+function checkList(A) {
+  if (!utils.isArray(A) && !utils.isTypedArray(A)) {
     throw new TypeError();
   }
+}
+
+// @param <object> options - optional, lowerBound and strict
+// @return <object> the lower bound, and valid(x, i, text) to test the value x at
+//                  index i; text is shown in the errors instead of x, if given
+function validator(options) {
+  options = options || {};
+  var lowerBound = options.lowerBound === undefined ? 0 : options.lowerBound;
+  if (!Number.isSafeInteger(lowerBound) || lowerBound < 0) {
+    throw new TypeError('lowerBound must be a non-negative integer');
+  }
+  var strict = Boolean(options.strict);
+
+  return {
+    lowerBound: lowerBound,
+    strict: strict,
+    valid: function(x, i, text) {
+      if (Number.isSafeInteger(x) && x >= lowerBound) {
+        return true;
+      }
+      if (!strict) {
+        return false;
+      }
+      if (Number.isSafeInteger(x)) {
+        throw new RangeError('ID ' + x + ' at index ' + i + ' is less than ' + lowerBound);
+      }
+      throw new TypeError('Value at index ' + i + ' is not an ID: ' +
+        String(text === undefined ? x : text));
+    }
+  };
+}
+
+// @return <array> the valid IDs of A, shifted down by the lower bound
+function normalize(A, check) {
+  var ids = [];
+  var seen = new Set();
+  for (var i = 0; i < A.length; i++) {
+    if (check.valid(A[i], i) && !seen.has(A[i])) {
+      seen.add(A[i]);
+      ids.push(A[i] - check.lowerBound);
+    }
+  }
+  return ids;
+}
+
+// @param <array> A
+// @param <object> options - optional, lowerBound and strict
+function minFree1(A, options) {
+  checkList(A);
+  var check = validator(options);
+  A = normalize(A, check);
 
   var i = 0;
   while (true) {
     if (A.indexOf(i) === -1) {
-      return i;
+      return check.lowerBound + i;
     } else {
       i = i + 1;
     }
@@ -85,10 +163,12 @@ store the flags.
 
 */
 
-function minFree2(A) {
-  if (!utils.isArray(A)) {
-    throw new TypeError();
-  }
+// @param <array> A
+// @param <object> options - optional, lowerBound and strict
+function minFree2(A, options) {
+  checkList(A);
+  var check = validator(options);
+  A = normalize(A, check);
 
   var i;
 
@@ -111,7 +191,7 @@ function minFree2(A) {
   // a linear time search to find the first flag with False value
   for (i = 0; i <= n; i++) {
     if (F[i] === false) {
-      return i;
+      return check.lowerBound + i;
     }
   }
 
@@ -174,10 +254,12 @@ instance gcc -O2. or by manually changing the recursion to iteration
 
 */
 
-function minFree3(A) {
-  if (!utils.isArray(A)) {
-    throw new TypeError();
-  }
+// @param <array> A
+// @param <object> options - optional, lowerBound and strict
+function minFree3(A, options) {
+  checkList(A);
+  var check = validator(options);
+  A = normalize(A, check);
 
   var smallestID;
 
@@ -211,7 +293,7 @@ function minFree3(A) {
 
   search(A, 0, A.length);
 
-  return smallestID;
+  return check.lowerBound + smallestID;
 }
 
 
@@ -234,48 +316,583 @@ This program is fast and it doesn’t need extra stack space. However, compared
 to the previous Haskell program, it’s hard to read and the expressiveness
 decreased. We have to balance performance and expressiveness.
 
+The partition step is the same as the one of quick sort (chapter 13), so the
+partition function of that module is reused.
+
+Instead of copying the right part of the array (A = A.slice(left)), the
+candidates are kept in the range A[lo .. hi) of the original array, so the only
+extra space is a few indices, O(1). The array is rearranged, though. If the
+caller needs it unchanged, the option preserve makes minFree4 work on a copy,
+which takes O(n) extra space again.
+
+Without a copy, the duplicates can’t be dropped with a set in O(1) space. If the
+left part has fewer elements than the range [l, m] has IDs, some ID is free
+there, duplicates or not. Otherwise every element of the left part is moved to
+the index lo + (x − l) by swapping, like in a bucket; an element whose place is
+already taken by an equal one is a duplicate, and stays where it is. Then the
+first index which doesn’t hold its own ID is the answer, and if there is none,
+the search goes on in the right part. Every swap puts an element into its final
+place, and the left parts checked this way are disjoint, so it adds O(n) time in
+total, and no extra space.
+
 (#) This is done automatically in most functional languages since our function is in tail
 recursive form which lends itself perfectly to this transformation
 
 */
 
-function minFree4(A) {
-  if (!utils.isArray(A)) {
-    throw new TypeError();
+// Moves every x in A[lo .. hi), all in [l, l + size), to the index lo + (x − l).
+// @return <number> the first offset i for which l + i is missing, or size
+function placeIDs(A, lo, hi, l, size) {
+  var i;
+
+  for (i = lo; i < hi; i++) {
+    let x = A[i];
+    let j = lo + x - l;
+    while (j !== i && A[j] !== x) {
+      A[i] = A[j];
+      A[j] = x;
+      x = A[i];
+      j = lo + x - l;
+    }
+  }
+  for (i = 0; i < size; i++) {
+    if (A[lo + i] !== l + i) {
+      return i;
+    }
+  }
+  return size;
+}
+
+// @param <array> A
+// @param <object> options - optional, lowerBound, strict, and preserve: don't rearrange A
+function minFree4(A, options) {
+  checkList(A);
+  var check = validator(options);
+  options = options || {};
+  if (options.preserve) {
+    A = A.slice();
+  }
+  // the indices in the errors refer to the input, so check before rearranging
+  if (check.strict) {
+    for (var i = 0; i < A.length; i++) {
+      check.valid(A[i], i);
+    }
+  }
+
+  // lo, hi: the candidates are in A[lo .. hi)
+  var lo = 0;
+  var hi = A.length;
+  var l = check.lowerBound;
+  var u = l + A.length - 1;
+  var m;
+
+  // the values which are not IDs go to the right, and drop out with it
+  function low(x) {
+    return check.valid(x) && x <= m;
   }
 
-  function swap(i, j) {
-    var tmp = A[j];
-    A[j] = A[i];
-    A[i] = tmp;
+  while (hi > lo) {
+    m = Math.floor((l + u) / 2);
+    var left = sorting.partition(A, lo, hi, low);
+    var size = m - l + 1;
+    if (left - lo < size) {
+      hi = left;
+      u = m;
+    } else {
+      let gap = placeIDs(A, lo, left, l, size);
+      if (gap < size) {
+        return l + gap;
+      }
+      lo = left;
+      l = m + 1;
+    }
   }
 
+  return l;
+}
+
+
+/*
+
+0.2.4 An ID allocator
+
+In a real system the IDs are acquired and released continuously, and running
+minFree on all the used IDs for every request takes O(n) time each. The
+IdAllocator object below keeps the used IDs in a bitmap instead: bit i of the
+bitmap is 1 if ID i is used. The bits are stored in 32 bit words (Uint32Array),
+so the bitmap takes only n / 8 bytes.
+
+To find the first 0 bit without scanning the whole bitmap, the bitmap is
+hierarchical: bit w of level k + 1 is 1 if word w of level k is full (all its
+32 bits are 1). The top level is a single word. The first 0 bit is found by
+descending from the top: at every level, the first 0 bit of the word tells which
+word to look at in the level below. So it takes O(log32 n) steps, and when a
+bit changes, only the words on its path to the top change.
+
+The initial used IDs are given in a list. By formula (1), the smallest free ID
+is at most n, so the bitmap covers [0, n] at first, and the IDs outside of it
+are kept in a set. The smallest free ID is found with minFree2, and all the IDs
+below the lowest free candidate are known to be used, so acquiring IDs one
+after the other takes O(1) time. When the bitmap is full, it is doubled, and
+the IDs of the set that fall into the new range are moved into it.
+
+*/
+
+// number of trailing 0 bits of a non-zero 32 bit word
+function ctz(x) {
+  return 31 - Math.clz32(x & -x);
+}
+
+var IdAllocator = (function(){
+  var FULL = 0xFFFFFFFF;
+
+  // @param <array> used - optional list of the IDs in use
+  function IdAllocator(used) {
+    used = used || [];
+    if (!utils.isArray(used)) {
+      throw new TypeError();
+    }
+    used.forEach(checkId);
+
+    this.count = 0;
+    this.overflow = new Set();
+    this.levels = build(new Uint32Array(Math.ceil((used.length + 1) / 32)));
+    used.forEach(function(id) {
+      if (!this.isUsed(id)) {
+        this.mark(id);
+      }
+    }, this);
+
+    // all the IDs below lowest are used
+    this.lowest = minFree2(used);
+  }
+
+  function checkId(id) {
+    if (!Number.isSafeInteger(id) || id < 0) {
+      throw new TypeError();
+    }
+  }
+
+  // builds the upper levels over the words of level 0
+  function build(words) {
+    var levels = [words];
+    while (words.length > 1) {
+      let up = new Uint32Array(Math.ceil(words.length / 32));
+      for (let w = 0; w < up.length * 32; w++) {
+        // the bits after the last word are marked full, so they are never chosen
+        if (w >= words.length || words[w] === FULL) {
+          up[w >>> 5] |= 1 << (w & 31);
+        }
+      }
+      levels.push(up);
+      words = up;
+    }
+    return levels;
+  }
+
+  IdAllocator.prototype.capacity = function() {
+    return this.levels[0].length * 32;
+  };
+
+  // sets bit i, and marks the words which become full in the upper levels
+  IdAllocator.prototype.setBit = function(i) {
+    for (var k = 0; k < this.levels.length; k++) {
+      let words = this.levels[k];
+      let w = i >>> 5;
+      words[w] |= 1 << (i & 31);
+      if (words[w] !== FULL) {
+        break;
+      }
+      i = w;
+    }
+  };
+
+  // clears bit i, and the marks of the words which are no longer full
+  IdAllocator.prototype.clearBit = function(i) {
+    for (var k = 0; k < this.levels.length; k++) {
+      let words = this.levels[k];
+      let w = i >>> 5;
+      let full = words[w] === FULL;
+      words[w] &= ~(1 << (i & 31));
+      if (!full) {
+        break;
+      }
+      i = w;
+    }
+  };
+
+  // @return <number> the first 0 bit of the bitmap, or -1 if it is full
+  IdAllocator.prototype.firstZero = function() {
+    var top = this.levels.length - 1;
+    if (this.levels[top][0] === FULL) {
+      return -1;
+    }
+    var i = 0;
+    for (var k = top; k >= 0; k--) {
+      i = i * 32 + ctz(~this.levels[k][i]);
+    }
+    return i;
+  };
+
+  // doubles the bitmap, and moves the IDs from the overflow set into it
+  IdAllocator.prototype.grow = function() {
+    var words = new Uint32Array(2 * this.levels[0].length);
+    words.set(this.levels[0]);
+    this.levels = build(words);
+
+    var capacity = this.capacity();
+    this.overflow.forEach(function(id) {
+      if (id < capacity) {
+        this.overflow.delete(id);
+        this.setBit(id);
+      }
+    }, this);
+  };
+
+  IdAllocator.prototype.mark = function(id) {
+    if (id < this.capacity()) {
+      this.setBit(id);
+    } else {
+      this.overflow.add(id);
+    }
+    this.count = this.count + 1;
+  };
+
+  // @return <number> number of the IDs in use
+  IdAllocator.prototype.size = function() {
+    return this.count;
+  };
+
+  IdAllocator.prototype.isUsed = function(id) {
+    checkId(id);
+
+    if (id < this.capacity()) {
+      return (this.levels[0][id >>> 5] & (1 << (id & 31))) !== 0;
+    }
+    return this.overflow.has(id);
+  };
+
+  // @return <number> the smallest free ID, which becomes used
+  IdAllocator.prototype.acquire = function() {
+    var id = this.lowest;
+    // past the bitmap the IDs are not searched, the bitmap grows instead
+    if (id >= this.capacity() || this.isUsed(id)) {
+      id = this.firstZero();
+      while (id < 0) {
+        this.grow();
+        id = this.firstZero();
+      }
+    }
+    this.mark(id);
+    this.lowest = id + 1;
+    return id;
+  };
+
+  // @param <number> n
+  // @return <array> the n smallest free IDs in increasing order
+  IdAllocator.prototype.acquireMany = function(n) {
+    if (!Number.isInteger(n) || n < 0) {
+      throw new TypeError();
+    }
+
+    var ids = [];
+    for (var i = 0; i < n; i++) {
+      ids.push(this.acquire());
+    }
+    return ids;
+  };
+
+  // marks the given ID as used
+  IdAllocator.prototype.reserve = function(id) {
+    if (this.isUsed(id)) {
+      throw new RangeError('The ID ' + id + ' is already in use');
+    }
+    this.mark(id);
+  };
+
+  IdAllocator.prototype.release = function(id) {
+    if (!this.isUsed(id)) {
+      throw new RangeError('The ID ' + id + ' is not in use');
+    }
+
+    if (id < this.capacity()) {
+      this.clearBit(id);
+    } else {
+      this.overflow.delete(id);
+    }
+    this.count = this.count - 1;
+    if (id < this.lowest) {
+      this.lowest = id;
+    }
+  };
+
+  return IdAllocator;
+})();
+
+
+/*
+
+0.2.5 Improvement 3, bitset
+
+The flags of minFree2 are stored in a JavaScript array of booleans, which takes
+a pointer sized slot per flag (8 bytes on 64 bit builds), so with tens of
+millions of IDs it needs hundreds of megabytes. A flag needs only one bit: the
+bitset stores 32 flags in a word of a Uint32Array, so n + 1 flags take
+(n + 1) / 8 bytes.
+
+Searching for the first False flag is faster as well: a word with a 0 bit is not
+equal to 0xFFFFFFFF, so the scan skips 32 used IDs at a time, and the position
+of the 0 bit in the word is found with Math.clz32 (count trailing zeros of the
+inverted word). The time is still O(n).
+
+The input can be a typed array (Uint32Array, Int32Array, ...) as well, which
+needs 4 bytes per ID, half of an array of numbers on 64 bit builds.
+
+Run testing/benchmark.js to compare the time and the memory of all the
+variants.
+
+*/
+
+// @return <number> the index of the first 0 bit of the bitset
+function firstZero(words) {
+  for (var w = 0; w < words.length; w++) {
+    if (words[w] !== 0xFFFFFFFF) {
+      return w * 32 + ctz(~words[w]);
+    }
+  }
+  return words.length * 32;
+}
+
+// @param <array> A - array or typed array
+// @param <object> options - optional, lowerBound and strict
+function minFree5(A, options) {
+  checkList(A);
+  var check = validator(options);
+
   var n = A.length;
-  var l = 0;
-  var u = n - 1;
-
-  while (n) {
-    var m = Math.floor((l + u) / 2);
-    var right;
-    var left = 0;
-    for (right = 0; right < n; ++right) {
-      if (A[right] <= m) {
-        swap(left, right);
-        ++left;
+  // bits [0, n], the bits after n are never set
+  var words = new Uint32Array((n >>> 5) + 1);
+
+  for (var i = 0; i < n; i++) {
+    if (check.valid(A[i], i)) {
+      let x = A[i] - check.lowerBound;
+      if (x < n) {
+        words[x >>> 5] |= 1 << (x & 31);
       }
     }
-    if (left === m - l + 1) {
-      A = A.slice(left);
-      n = n - left;
-      l = m + 1;
+  }
+  return check.lowerBound + firstZero(words);
+}
+
+
+/*
+
+0.2.6 Streaming
+
+When the IDs are read from a file or from the network, they don’t have to be
+loaded into an array. minFreeStream consumes an async iterable (a readable
+stream, a readline interface, an async generator) or a plain iterable of chunks,
+and returns a Promise of the smallest free ID. A chunk can be
+
+• a number;
+
+• an array or a typed array of numbers;
+
+• a string of numbers separated by whitespace or commas;
+
+• a Buffer, which is text in UTF-8, as a file stream yields it without an
+  encoding. A Buffer is a typed array as well, but its bytes are decoded, and
+  read as a string. A character split between two Buffers is joined again.
+
+A stream splits the text at arbitrary places, so the last number of a string
+chunk may continue in the next chunk: it is carried over, unless the chunk ends
+with a separator. Only the new chunk is searched for its last separator, so the
+text is scanned once. A token longer than any ID is cut short while it is
+carried, so a stream without separators needs no more memory either. When every
+chunk is a whole line (from readline, which removes the line breaks), the option
+lines must be set, otherwise the consecutive lines would be joined.
+
+A token is an ID only if it is made of the digits 0-9; '0x1', '1e0' or '+1'
+are not, although Number would accept them. The options lowerBound and strict
+work as in the other variants; the index in the errors counts the values read
+from the stream, and a rejected token is shown as it was written.
+
+The IDs are marked in a bitset as in minFree5, but the number of IDs n is not
+known until the end. So the bitset covers [0, c), where c grows with the
+number of IDs read so far, and the IDs not less than c are put aside into an
+overflow list. When the count reaches c, the bitset is doubled, and the overflow
+IDs which fit are moved into it. At the end, formula (1) tells that only the IDs
+up to n matter. The memory is n / 8 bytes for the bitset, plus the IDs greater
+than the count of the IDs before them, which are rare if the IDs are dense.
+
+*/
+
+var IdStream = (function(){
+  var SEPARATOR = /[\s,]+/;
+  var DIGITS = /^[0-9]+$/;
+  // longer than any safe integer, so a longer token is not an ID anyway
+  var MAX_TOKEN = 32;
+
+  // @param <boolean> lines - every string chunk is a whole line
+  // @param <object> check - a validator
+  function IdStream(lines, check) {
+    this.lines = lines;
+    this.check = check;
+    this.index = 0;
+    this.words = new Uint32Array(32);
+    this.overflow = [];
+    this.count = 0;
+    this.partial = '';
+    this.decoder = new StringDecoder('utf8');
+  }
+
+  IdStream.prototype.capacity = function() {
+    return this.words.length * 32;
+  };
+
+  IdStream.prototype.grow = function(bits) {
+    var words = new Uint32Array(Math.max(2 * this.words.length, (bits >>> 5) + 1));
+    words.set(this.words);
+    this.words = words;
+
+    var capacity = this.capacity();
+    this.overflow = this.overflow.filter(function(x) {
+      if (x < capacity) {
+        words[x >>> 5] |= 1 << (x & 31);
+        return false;
+      }
+      return true;
+    });
+  };
+
+  // @param <string> text - optional, the token x was read from
+  IdStream.prototype.add = function(x, text) {
+    var index = this.index;
+    this.index = index + 1;
+    if (!this.check.valid(x, index, text)) {
+      return;
+    }
+    x = x - this.check.lowerBound;
+    if (x < this.capacity()) {
+      this.words[x >>> 5] |= 1 << (x & 31);
     } else {
-      n = left;
-      u = m;
+      this.overflow.push(x);
+    }
+    this.count = this.count + 1;
+    if (this.count >= this.capacity()) {
+      this.grow(this.count);
+    }
+  };
+
+  IdStream.prototype.addText = function(text) {
+    var tokens = text.split(SEPARATOR);
+    for (var i = 0; i < tokens.length; i++) {
+      let token = tokens[i];
+      if (token !== '') {
+        this.add(DIGITS.test(token) ? Number(token) : NaN, token);
+      }
+    }
+  };
+
+  // carry over the unfinished token, cut short if it is too long
+  IdStream.prototype.carry = function(text) {
+    this.partial = this.partial + text;
+    if (this.partial.length > MAX_TOKEN) {
+      this.partial = this.partial.slice(0, MAX_TOKEN) + '...';
+    }
+  };
+
+  IdStream.prototype.consume = function(chunk) {
+    if (utils.isNumber(chunk)) {
+      this.add(chunk);
+    } else if (Buffer.isBuffer(chunk)) {
+      this.consume(this.decoder.write(chunk));
+    } else if (utils.isArray(chunk) || utils.isTypedArray(chunk)) {
+      for (var i = 0; i < chunk.length; i++) {
+        this.add(chunk[i]);
+      }
+    } else if (typeof chunk === 'string') {
+      if (this.lines) {
+        this.addText(chunk);
+      } else {
+        let end = chunk.length;
+        while (end > 0 && !SEPARATOR.test(chunk[end - 1])) {
+          end = end - 1;
+        }
+        if (end > 0) {
+          this.addText(this.partial + chunk.slice(0, end));
+          this.partial = '';
+        }
+        this.carry(chunk.slice(end));
+      }
+    } else {
+      throw new TypeError();
+    }
+  };
+
+  // @return <number> the smallest free ID of all the chunks consumed
+  IdStream.prototype.result = function() {
+    this.consume(this.decoder.end());
+    this.addText(this.partial);
+    this.partial = '';
+    if (this.capacity() <= this.count) {
+      this.grow(this.count);
     }
+    return this.check.lowerBound + firstZero(this.words);
+  };
+
+  return IdStream;
+})();
+
+// @param <iterable> source - async iterable or iterable of chunks
+// @param <object> options - optional, lowerBound, strict, and lines: every string chunk is a whole line
+// @return <Promise> the smallest free ID
+function minFreeStream(source, options) {
+  var check;
+  try {
+    check = validator(options);
+  } catch (error) {
+    return Promise.reject(error);
+  }
 
+  var iterator;
+  if (source && utils.isFunction(source[Symbol.asyncIterator])) {
+    iterator = source[Symbol.asyncIterator]();
+  } else if (source && utils.isFunction(source[Symbol.iterator])) {
+    iterator = source[Symbol.iterator]();
+  } else {
+    return Promise.reject(new TypeError());
   }
+  options = options || {};
 
-  return l;
+  var ids = new IdStream(Boolean(options.lines), check);
+
+  return new Promise(function(resolve, reject) {
+    function fail(error) {
+      // close the source, a file for example
+      if (utils.isFunction(iterator.return)) {
+        Promise.resolve().then(function() {
+          return iterator.return();
+        }).catch(function() {});
+      }
+      reject(error);
+    }
+
+    function step() {
+      Promise.resolve(iterator.next()).then(function(item) {
+        if (item.done) {
+          resolve(ids.result());
+          return;
+        }
+        return Promise.resolve(item.value).then(function(chunk) {
+          ids.consume(chunk);
+          step();
+        });
+      }).catch(fail);
+    }
+
+    step();
+  });
 }
 
 
@@ -285,7 +902,10 @@ module.exports = {
   minFree1: minFree1,
   minFree2: minFree2,
   minFree3: minFree3,
-  minFree4: minFree4
+  minFree4: minFree4,
+  minFree5: minFree5,
+  minFreeStream: minFreeStream,
+  IdAllocator: IdAllocator
 };
 
 
@@ -0,0 +1,372 @@
+#!/usr/bin/env node
+
+/**
+ * Elementary Algorithms in JavaScript
+ *
+ * Creator:
+ * Peter Bakondy
+ * https://github.com/pbakondy/elementary-algorithms-in-javascript/
+ *
+ * Based on:
+ * Elementary Algorithms and Data structures
+ * by Larry LIU Xinyu <liuxinyu95@gmail.com>
+ * https://github.com/liuxinyu95/AlgoXY
+ *
+ * License: GNU GPLv3
+ */
+
+'use strict';
+
+
+/*
+
+11.1 Introduction
+
+A queue is a FIFO (First-In-First-Out) data structure: the elements are added
+at the rear, and removed from the head. It looks simple, but the trivial
+implementations are not efficient: removing the first element of an array
+(Array.prototype.shift) moves all the others, so it takes O(n) time, and a
+singly linked list can only be accessed at one end in O(1) time.
+
+This chapter implements three queues, all supporting enqueue, dequeue and head
+in O(1) time:
+
+• CircularQueue is an array used as a ring, it is mutable;
+
+• PersistentQueue is made of two lists, it is immutable, and O(1) amortized;
+
+• RealtimeQueue is also immutable, and O(1) in the worst case.
+
+All of them provide size(), isEmpty() and toArray() as well. head() returns
+undefined if the queue is empty, and dequeue() throws a RangeError.
+
+11.2 Circular buffer
+
+The elements are stored in an array, from the index of the head, wrapping around
+at the end of the array. Enqueue writes after the last element, dequeue moves
+the head index forward, neither moves any element. When the array is full, it is
+replaced by one of the double size, so enqueue is O(1) amortized.
+
+*/
+
+var CircularQueue = (function(){
+  // @param <number> capacity - optional initial capacity
+  function CircularQueue(capacity) {
+    if (capacity === undefined) {
+      capacity = 16;
+    }
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      throw new TypeError();
+    }
+
+    this.buffer = new Array(capacity);
+    this.first = 0;
+    this.count = 0;
+  }
+
+  CircularQueue.prototype.size = function() {
+    return this.count;
+  };
+
+  CircularQueue.prototype.isEmpty = function() {
+    return this.count === 0;
+  };
+
+  CircularQueue.prototype.enqueue = function(x) {
+    var capacity = this.buffer.length;
+    if (this.count === capacity) {
+      this.buffer = this.toArray();
+      this.buffer.length = 2 * capacity;
+      this.first = 0;
+      capacity = 2 * capacity;
+    }
+    this.buffer[(this.first + this.count) % capacity] = x;
+    this.count = this.count + 1;
+    return this;
+  };
+
+  // @return <*> the head element
+  CircularQueue.prototype.dequeue = function() {
+    checkNotEmpty(this);
+    var x = this.buffer[this.first];
+    this.buffer[this.first] = undefined;
+    this.first = (this.first + 1) % this.buffer.length;
+    this.count = this.count - 1;
+    return x;
+  };
+
+  CircularQueue.prototype.head = function() {
+    return this.count ? this.buffer[this.first] : undefined;
+  };
+
+  CircularQueue.prototype.toArray = function() {
+    var result = [];
+    for (var i = 0; i < this.count; i++) {
+      result.push(this.buffer[(this.first + i) % this.buffer.length]);
+    }
+    return result;
+  };
+
+  return CircularQueue;
+})();
+
+
+/*
+
+11.3 Paired-list queue
+
+In functional settings, the queue can be built from two lists: the front list,
+from which the elements are removed, and the rear list, to which the elements
+are added, in reversed order. Both happen at the head of a list, in O(1) time.
+
+  enqueue (f, r) x = balance (f, x : r)
+  dequeue (_ : f, r) = balance (f, r)
+  head (x : _, r) = x
+
+When the front list becomes empty, the rear list is reversed to be the new
+front:
+
+  balance ([], r) = (reverse r, [])
+  balance q = q
+
+Every element is reversed only once, so dequeue takes O(1) amortized time. The
+lists are immutable cons cells, so every operation returns a new queue, and the
+old one remains valid. (If an old version is used again, the same reversal may
+be repeated, so the amortized bound holds only when the versions are used in a
+single thread.)
+
+*/
+
+function cons(x, xs) {
+  return { head: x, tail: xs };
+}
+
+function reverse(xs) {
+  var ys = null;
+  for (; xs; xs = xs.tail) {
+    ys = cons(xs.head, ys);
+  }
+  return ys;
+}
+
+function listToArray(xs, result) {
+  for (; xs; xs = xs.tail) {
+    result.push(xs.head);
+  }
+  return result;
+}
+
+function checkNotEmpty(queue) {
+  if (queue.isEmpty()) {
+    throw new RangeError('The queue is empty');
+  }
+}
+
+var PersistentQueue = (function(){
+  function PersistentQueue(front, rear, count) {
+    this.front = front || null;
+    this.rear = rear || null;
+    this.count = count || 0;
+  }
+
+  function balance(front, rear, count) {
+    if (!front) {
+      return new PersistentQueue(reverse(rear), null, count);
+    }
+    return new PersistentQueue(front, rear, count);
+  }
+
+  PersistentQueue.prototype.size = function() {
+    return this.count;
+  };
+
+  PersistentQueue.prototype.isEmpty = function() {
+    return this.count === 0;
+  };
+
+  // @return <PersistentQueue> a new queue
+  PersistentQueue.prototype.enqueue = function(x) {
+    return balance(this.front, cons(x, this.rear), this.count + 1);
+  };
+
+  // @return <PersistentQueue> a new queue without the head
+  PersistentQueue.prototype.dequeue = function() {
+    checkNotEmpty(this);
+    return balance(this.front.tail, this.rear, this.count - 1);
+  };
+
+  PersistentQueue.prototype.head = function() {
+    return this.front ? this.front.head : undefined;
+  };
+
+  PersistentQueue.prototype.toArray = function() {
+    return listToArray(reverse(this.rear), listToArray(this.front, []));
+  };
+
+  return PersistentQueue;
+})();
+
+
+/*
+
+11.4 Real-time queue
+
+The reversal of the paired-list queue takes O(n) time at once, which is not
+acceptable when every operation must be fast (in a real-time system), or when
+old versions are reused. Hood and Melville [1] spread the reversal over the
+following operations, Okasaki describes it in [2].
+
+The rear list is reversed when it becomes longer than the front list, so the
+front f and the rear r are reversed and appended as f ++ reverse r step by step:
+
+  1. reversing: f and r are both reversed, one element of each at a time, into
+     f' = reverse f and r' = reverse r;
+
+  2. appending: the elements of f' are moved to the head of r', one at a time,
+     which gives f ++ reverse r.
+
+Two steps are done by every operation. Since |r| = |f| + 1 when the reversal
+starts, it finishes before the front list runs out. Meanwhile, the head elements
+are still removed from the old front list, and the elements of f that are
+already removed must not be appended. So the state keeps a counter ok of the
+valid elements in f', it is increased while reversing and decreased by every
+dequeue (invalidate) and by every append step. When it reaches zero, the rest of
+f' is dropped, and r' becomes the new front.
+
+  exec (Reversing ok (x:f) f' (y:r) r') = Reversing (ok + 1) f (x:f') r (y:r')
+  exec (Reversing ok [] f' [y] r') = Appending ok f' (y:r')
+  exec (Appending 0 f' r') = Done r'
+  exec (Appending ok (x:f') r') = Appending (ok − 1) f' (x:r')
+  exec state = state
+
+  invalidate (Reversing ok f f' r r') = Reversing (ok − 1) f f' r r'
+  invalidate (Appending 0 f' (x:r')) = Done r'
+  invalidate (Appending ok f' r') = Appending (ok − 1) f' r'
+  invalidate state = state
+
+Every step is O(1), so all the operations are O(1) in the worst case.
+
+*/
+
+var RealtimeQueue = (function(){
+  var IDLE = { type: 'idle' };
+
+  function RealtimeQueue(lenf, front, state, lenr, rear) {
+    this.lenf = lenf || 0;
+    this.front = front || null;
+    this.state = state || IDLE;
+    this.lenr = lenr || 0;
+    this.rear = rear || null;
+  }
+
+  function reversing(ok, f, f1, r, r1) {
+    return { type: 'reversing', ok: ok, f: f, f1: f1, r: r, r1: r1 };
+  }
+
+  function appending(ok, f1, r1) {
+    return { type: 'appending', ok: ok, f1: f1, r1: r1 };
+  }
+
+  function done(front) {
+    return { type: 'done', front: front };
+  }
+
+  function exec(s) {
+    if (s.type === 'reversing') {
+      if (s.f) {
+        return reversing(s.ok + 1, s.f.tail, cons(s.f.head, s.f1),
+          s.r.tail, cons(s.r.head, s.r1));
+      }
+      return appending(s.ok, s.f1, cons(s.r.head, s.r1));
+    }
+    if (s.type === 'appending') {
+      if (s.ok === 0) {
+        return done(s.r1);
+      }
+      return appending(s.ok - 1, s.f1.tail, cons(s.f1.head, s.r1));
+    }
+    return s;
+  }
+
+  function invalidate(s) {
+    if (s.type === 'reversing') {
+      return reversing(s.ok - 1, s.f, s.f1, s.r, s.r1);
+    }
+    if (s.type === 'appending') {
+      if (s.ok === 0) {
+        return done(s.r1.tail);
+      }
+      return appending(s.ok - 1, s.f1, s.r1);
+    }
+    return s;
+  }
+
+  function exec2(lenf, front, state, lenr, rear) {
+    state = exec(exec(state));
+    if (state.type === 'done') {
+      return new RealtimeQueue(lenf, state.front, IDLE, lenr, rear);
+    }
+    return new RealtimeQueue(lenf, front, state, lenr, rear);
+  }
+
+  function check(lenf, front, state, lenr, rear) {
+    if (lenr <= lenf) {
+      return exec2(lenf, front, state, lenr, rear);
+    }
+    return exec2(lenf + lenr, front, reversing(0, front, null, rear, null), 0, null);
+  }
+
+  RealtimeQueue.prototype.size = function() {
+    return this.lenf + this.lenr;
+  };
+
+  RealtimeQueue.prototype.isEmpty = function() {
+    return this.size() === 0;
+  };
+
+  // @return <RealtimeQueue> a new queue
+  RealtimeQueue.prototype.enqueue = function(x) {
+    return check(this.lenf, this.front, this.state, this.lenr + 1, cons(x, this.rear));
+  };
+
+  // @return <RealtimeQueue> a new queue without the head
+  RealtimeQueue.prototype.dequeue = function() {
+    checkNotEmpty(this);
+    return check(this.lenf - 1, this.front.tail, invalidate(this.state), this.lenr, this.rear);
+  };
+
+  RealtimeQueue.prototype.head = function() {
+    return this.front ? this.front.head : undefined;
+  };
+
+  RealtimeQueue.prototype.toArray = function() {
+    var result = [];
+    for (var q = this; !q.isEmpty(); q = q.dequeue()) {
+      result.push(q.head());
+    }
+    return result;
+  };
+
+  return RealtimeQueue;
+})();
+
+
+/*
+
+Bibliography
+
+[1] Robert Hood and Robert Melville. “Real-time queue operations in pure LISP”.
+    Information Processing Letters, 13(2):50–54, 1981
+
+[2] Chris Okasaki. “Purely Functional Data Structures”. Cambridge university
+    press, (July 1, 1999), ISBN-13: 978-0521663502
+
+*/
+
+
+
+module.exports = {
+  CircularQueue: CircularQueue,
+  PersistentQueue: PersistentQueue,
+  RealtimeQueue: RealtimeQueue
+};
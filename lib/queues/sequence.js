@@ -0,0 +1,496 @@
+#!/usr/bin/env node
+
+/**
+ * Elementary Algorithms in JavaScript
+ *
+ * Creator:
+ * Peter Bakondy
+ * https://github.com/pbakondy/elementary-algorithms-in-javascript/
+ *
+ * Based on:
+ * Elementary Algorithms and Data structures
+ * by Larry LIU Xinyu <liuxinyu95@gmail.com>
+ * https://github.com/liuxinyu95/AlgoXY
+ *
+ * License: GNU GPLv3
+ */
+
+'use strict';
+
+
+/*
+
+12.1 Introduction
+
+A sequence is the general purpose list: elements can be added and removed at
+both ends, two sequences can be concatenated, a sequence can be split at any
+position, and any element can be accessed by its index. The array does the
+random access in O(1) time, but everything else, except adding at the end, is
+O(n). The linked list is O(1) at the head, but O(n) for the rest.
+
+The finger tree [1] is an immutable sequence, which supports all of these
+efficiently:
+
+  cons, snoc, head, last, tail, init    O(1) amortized
+  concat                                O(lg min(n1, n2))
+  splitAt, get                          O(lg min(i, n − i))
+
+Since it is immutable, every update returns a new sequence, sharing most of its
+structure with the old one, which remains valid. So snapshots of a sequence
+(for an undo history for example) are free.
+
+12.2 The 2-3 finger tree
+
+A finger tree is either empty, a single element, or a deep tree of three parts:
+the prefix and the suffix, called digits, each holds 1 to 4 elements, and a
+middle finger tree, whose elements are 2-3 nodes of the elements of this level.
+
+  data Tree a = Empty | Single a | Deep (Digit a) (Tree (Node a)) (Digit a)
+  data Node a = Node2 a a | Node3 a a a
+
+So the elements of the middle tree at depth d are 2-3 trees of height d, the
+nodes near the ends (the fingers) are close to the root, and the ones in the
+middle are deep down.
+
+Every node and tree is annotated with its size: the number of elements in it.
+An element at the bottom level has size 1. With the sizes, the position of the
+i-th element can be found by comparing i with the sizes of the parts, like in a
+search tree.
+
+The trees below are strict, not lazy as in [1], so the O(1) amortized bounds of
+cons and snoc hold when the versions are used in a single thread (as in the
+paired-list queue of chapter 11). The worst case is O(lg n).
+
+*/
+
+function Node(items) {
+  this.items = items;
+  this.size = sizeOf(items);
+}
+
+function Single(x) {
+  this.x = x;
+  this.size = measure(x);
+}
+
+function Deep(prefix, middle, suffix) {
+  this.prefix = prefix;
+  this.middle = middle;
+  this.suffix = suffix;
+  this.size = sizeOf(prefix) + middle.size + sizeOf(suffix);
+}
+
+var EMPTY = { size: 0 };
+
+function measure(x) {
+  return (x instanceof Node) ? x.size : 1;
+}
+
+function sizeOf(items) {
+  var n = 0;
+  for (var i = 0; i < items.length; i++) {
+    n = n + measure(items[i]);
+  }
+  return n;
+}
+
+function fromDigit(items) {
+  var t = EMPTY;
+  for (var i = 0; i < items.length; i++) {
+    t = snoc(t, items[i]);
+  }
+  return t;
+}
+
+
+/*
+
+12.3 Adding and removing at the ends
+
+To add an element in front, it is added to the prefix. If the prefix is full
+(it has 4 elements), 3 of them are wrapped into a node, and the node is added to
+the middle tree recursively.
+
+  cons a Empty = Single a
+  cons a (Single b) = Deep [a] Empty [b]
+  cons a (Deep [b, c, d, e] m sf) = Deep [a, b] (cons (Node3 c d e) m) sf
+  cons a (Deep pr m sf) = Deep (a : pr) m sf
+
+A node goes to the next level only every third time, so the cost is amortized
+O(1). Adding at the end (snoc) is symmetric.
+
+To remove the first element, it is taken from the prefix. If the prefix becomes
+empty, the first node of the middle tree is removed recursively, and its
+elements become the new prefix. If the middle is empty as well, the suffix is
+turned into a tree.
+
+*/
+
+function cons(t, a) {
+  if (t === EMPTY) {
+    return new Single(a);
+  }
+  if (t instanceof Single) {
+    return new Deep([a], EMPTY, [t.x]);
+  }
+  var pr = t.prefix;
+  if (pr.length === 4) {
+    return new Deep([a, pr[0]], cons(t.middle, new Node(pr.slice(1))), t.suffix);
+  }
+  return new Deep([a].concat(pr), t.middle, t.suffix);
+}
+
+function snoc(t, a) {
+  if (t === EMPTY) {
+    return new Single(a);
+  }
+  if (t instanceof Single) {
+    return new Deep([t.x], EMPTY, [a]);
+  }
+  var sf = t.suffix;
+  if (sf.length === 4) {
+    return new Deep(t.prefix, snoc(t.middle, new Node(sf.slice(0, 3))), [sf[3], a]);
+  }
+  return new Deep(t.prefix, t.middle, sf.concat([a]));
+}
+
+// a tree from a prefix, which may be empty, a middle tree and a suffix
+function deepL(pr, m, sf) {
+  if (pr.length) {
+    return new Deep(pr, m, sf);
+  }
+  if (m === EMPTY) {
+    return fromDigit(sf);
+  }
+  return new Deep(first(m).items, rest(m), sf);
+}
+
+// a tree from a prefix, a middle tree and a suffix, which may be empty
+function deepR(pr, m, sf) {
+  if (sf.length) {
+    return new Deep(pr, m, sf);
+  }
+  if (m === EMPTY) {
+    return fromDigit(pr);
+  }
+  return new Deep(pr, init(m), last(m).items);
+}
+
+function first(t) {
+  return (t instanceof Single) ? t.x : t.prefix[0];
+}
+
+function last(t) {
+  return (t instanceof Single) ? t.x : t.suffix[t.suffix.length - 1];
+}
+
+// the tree without the first element
+function rest(t) {
+  if (t instanceof Single) {
+    return EMPTY;
+  }
+  return deepL(t.prefix.slice(1), t.middle, t.suffix);
+}
+
+// the tree without the last element
+function init(t) {
+  if (t instanceof Single) {
+    return EMPTY;
+  }
+  return deepR(t.prefix, t.middle, t.suffix.slice(0, -1));
+}
+
+
+/*
+
+12.4 Concatenation
+
+Two deep trees are concatenated by keeping the outer digits, and concatenating
+the middle trees, with the inner digits between them. The inner digits (2 to 8
+elements, plus the ones from the level above) are grouped into 2-3 nodes for the
+next level.
+
+  app3 Empty ts xs = ts ++> xs
+  app3 xs ts Empty = xs <++ ts
+  app3 (Single x) ts xs = cons x (ts ++> xs)
+  app3 xs ts (Single x) = snoc (xs <++ ts) x
+  app3 (Deep pr1 m1 sf1) ts (Deep pr2 m2 sf2) =
+    Deep pr1 (app3 m1 (nodes (sf1 ++ ts ++ pr2)) m2) sf2
+
+The recursion goes down to the depth of the smaller tree.
+
+*/
+
+function nodes(xs) {
+  var result = [];
+  var i = 0;
+  while (xs.length - i > 4) {
+    result.push(new Node(xs.slice(i, i + 3)));
+    i = i + 3;
+  }
+  if (xs.length - i === 4) {
+    result.push(new Node(xs.slice(i, i + 2)));
+    result.push(new Node(xs.slice(i + 2)));
+  } else {
+    result.push(new Node(xs.slice(i)));
+  }
+  return result;
+}
+
+function app3(t1, ts, t2) {
+  if (t1 === EMPTY) {
+    return ts.reduceRight(cons, t2);
+  }
+  if (t2 === EMPTY) {
+    return ts.reduce(snoc, t1);
+  }
+  if (t1 instanceof Single) {
+    return cons(ts.reduceRight(cons, t2), t1.x);
+  }
+  if (t2 instanceof Single) {
+    return snoc(ts.reduce(snoc, t1), t2.x);
+  }
+  var middle = app3(t1.middle, nodes(t1.suffix.concat(ts, t2.prefix)), t2.middle);
+  return new Deep(t1.prefix, middle, t2.suffix);
+}
+
+
+/*
+
+12.5 Splitting and random access
+
+To split a tree at index i, we look for the element which contains the i-th
+element: it is in the prefix if i is less than the size of the prefix, in the
+middle tree if i is less than the size of the prefix and the middle, otherwise
+in the suffix. In the middle tree the result is a node, which is split again, at
+the remaining index.
+
+  splitTree i (Deep pr m sf) = (l, x, r), where size l ≤ i < size l + size x
+
+Both sides are rebuilt with deepL and deepR, which are O(1) amortized, at every
+level, so the split takes O(lg n) time. Access by index (get) is the same
+search, without building the trees.
+
+*/
+
+// @return <array> [items before, the item containing index i, items after, the
+//   index within that item]
+function splitDigit(i, items) {
+  for (var k = 0; k < items.length - 1; k++) {
+    let s = measure(items[k]);
+    if (i < s) {
+      break;
+    }
+    i = i - s;
+  }
+  return [items.slice(0, k), items[k], items.slice(k + 1), i];
+}
+
+// @param <number> i - 0 ≤ i < t.size
+// @return <array> [left tree, the item containing index i, right tree, the
+//   index within that item]
+function splitTree(i, t) {
+  if (t instanceof Single) {
+    return [EMPTY, t.x, EMPTY, i];
+  }
+
+  var spr = sizeOf(t.prefix);
+  if (i < spr) {
+    let d = splitDigit(i, t.prefix);
+    return [fromDigit(d[0]), d[1], deepL(d[2], t.middle, t.suffix), d[3]];
+  }
+  i = i - spr;
+  if (i < t.middle.size) {
+    let m = splitTree(i, t.middle);
+    let d = splitDigit(m[3], m[1].items);
+    return [deepR(t.prefix, m[0], d[0]), d[1], deepL(d[2], m[2], t.suffix), d[3]];
+  }
+  i = i - t.middle.size;
+  let d = splitDigit(i, t.suffix);
+  return [deepR(t.prefix, t.middle, d[0]), d[1], fromDigit(d[2]), d[3]];
+}
+
+// @return <array> [the item containing index i, the index within that item]
+function lookupTree(i, t) {
+  if (t instanceof Single) {
+    return [t.x, i];
+  }
+
+  var spr = sizeOf(t.prefix);
+  var d;
+  if (i < spr) {
+    d = splitDigit(i, t.prefix);
+  } else if (i - spr < t.middle.size) {
+    let m = lookupTree(i - spr, t.middle);
+    d = splitDigit(m[1], m[0].items);
+  } else {
+    d = splitDigit(i - spr - t.middle.size, t.suffix);
+  }
+  return [d[1], d[3]];
+}
+
+function* elements(x) {
+  if (x instanceof Node) {
+    for (let i = 0; i < x.items.length; i++) {
+      yield* elements(x.items[i]);
+    }
+  } else {
+    yield x;
+  }
+}
+
+function* walk(t) {
+  if (t instanceof Single) {
+    yield* elements(t.x);
+  } else if (t instanceof Deep) {
+    for (let i = 0; i < t.prefix.length; i++) {
+      yield* elements(t.prefix[i]);
+    }
+    yield* walk(t.middle);
+    for (let i = 0; i < t.suffix.length; i++) {
+      yield* elements(t.suffix[i]);
+    }
+  }
+}
+
+
+/*
+
+12.6 The Sequence object
+
+The Sequence object wraps a finger tree, and never changes: cons, snoc, tail,
+init, concat and splitAt return new sequences. It is iterable, and can be built
+from any iterable.
+
+*/
+
+var Sequence = (function(){
+  function Sequence(tree) {
+    this.tree = tree || EMPTY;
+  }
+
+  // @param <iterable> X
+  Sequence.from = function(X) {
+    if (X === null || X === undefined || typeof X[Symbol.iterator] !== 'function') {
+      throw new TypeError();
+    }
+
+    var t = EMPTY;
+    for (let x of X) {
+      t = snoc(t, x);
+    }
+    return new Sequence(t);
+  };
+
+  function checkNotEmpty(seq) {
+    if (seq.tree === EMPTY) {
+      throw new RangeError('The sequence is empty');
+    }
+  }
+
+  function checkIndex(i) {
+    if (!Number.isInteger(i)) {
+      throw new TypeError();
+    }
+  }
+
+  Sequence.prototype.size = function() {
+    return this.tree.size;
+  };
+
+  Sequence.prototype.isEmpty = function() {
+    return this.tree === EMPTY;
+  };
+
+  // adds x in front
+  Sequence.prototype.cons = function(x) {
+    return new Sequence(cons(this.tree, x));
+  };
+
+  // adds x at the end
+  Sequence.prototype.snoc = function(x) {
+    return new Sequence(snoc(this.tree, x));
+  };
+
+  // @return <*> the first element, or undefined if the sequence is empty
+  Sequence.prototype.head = function() {
+    return this.tree === EMPTY ? undefined : first(this.tree);
+  };
+
+  // @return <*> the last element, or undefined if the sequence is empty
+  Sequence.prototype.last = function() {
+    return this.tree === EMPTY ? undefined : last(this.tree);
+  };
+
+  // @return <Sequence> the sequence without the first element
+  Sequence.prototype.tail = function() {
+    checkNotEmpty(this);
+    return new Sequence(rest(this.tree));
+  };
+
+  // @return <Sequence> the sequence without the last element
+  Sequence.prototype.init = function() {
+    checkNotEmpty(this);
+    return new Sequence(init(this.tree));
+  };
+
+  Sequence.prototype.concat = function(other) {
+    if (!(other instanceof Sequence)) {
+      throw new TypeError();
+    }
+    return new Sequence(app3(this.tree, [], other.tree));
+  };
+
+  // @param <number> i - index
+  // @return <array> [the first i elements, the rest]
+  Sequence.prototype.splitAt = function(i) {
+    checkIndex(i);
+
+    if (i <= 0) {
+      return [new Sequence(), this];
+    }
+    if (i >= this.tree.size) {
+      return [this, new Sequence()];
+    }
+    var s = splitTree(i, this.tree);
+    return [new Sequence(s[0]), new Sequence(cons(s[2], s[1]))];
+  };
+
+  // @param <number> i - index
+  // @return <*> the i-th element, or undefined if i is out of range
+  Sequence.prototype.get = function(i) {
+    checkIndex(i);
+
+    if (i < 0 || i >= this.tree.size) {
+      return undefined;
+    }
+    return lookupTree(i, this.tree)[0];
+  };
+
+  Sequence.prototype.toArray = function() {
+    return Array.from(walk(this.tree));
+  };
+
+  Sequence.prototype[Symbol.iterator] = function() {
+    return walk(this.tree);
+  };
+
+  return Sequence;
+})();
+
+
+/*
+
+Bibliography
+
+[1] Ralf Hinze and Ross Paterson. “Finger Trees: A Simple General-purpose Data
+    Structure”. Journal of Functional Programming 16:2 (2006), pages 197–217
+
+
+*/
+
+
+
+module.exports = {
+  Sequence: Sequence
+};
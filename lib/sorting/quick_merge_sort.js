@@ -0,0 +1,550 @@
+#!/usr/bin/env node
+
+/**
+ * Elementary Algorithms in JavaScript
+ *
+ * Creator:
+ * Peter Bakondy
+ * https://github.com/pbakondy/elementary-algorithms-in-javascript/
+ *
+ * Based on:
+ * Elementary Algorithms and Data structures
+ * by Larry LIU Xinyu <liuxinyu95@gmail.com>
+ * https://github.com/liuxinyu95/AlgoXY
+ *
+ * License: GNU GPLv3
+ */
+
+'use strict';
+
+var utils = require('../utils/utils.js');
+
+
+/*
+
+13.1 Introduction
+
+Quick sort and merge sort are both divide and conquer algorithms: the list is
+divided into two parts, which are sorted recursively, and then combined. Quick
+sort does the work when dividing (partition), and combining is trivial; merge
+sort divides trivially (in halves), and does the work when combining (merge).
+
+All the sort functions below sort the array A in place in ascending order of the
+comparator, and return it. Each function has a ‘stable’ property, which tells
+whether equal elements keep their original order.
+
+13.2 Partition
+
+Partition rearranges a range of an array, so that the elements satisfying a
+predicate come first, and returns the index where the others start. It is
+Lomuto’s partition: the elements before index left satisfy the predicate, and
+every element found to satisfy it is swapped to left. It takes O(n) time, and
+O(1) extra space, but it is not stable.
+
+*/
+
+function swap(A, i, j) {
+  var tmp = A[i];
+  A[i] = A[j];
+  A[j] = tmp;
+}
+
+function checkArray(A) {
+  if (!utils.isArray(A)) {
+    throw new TypeError();
+  }
+}
+
+// @param <array> A
+// @param <number> l - the first index of the range
+// @param <number> u - the index after the range
+// @param <function> pred - predicate
+// @return <number> the index of the first element not satisfying pred
+function partition(A, l, u, pred) {
+  var left = l;
+  for (var right = l; right < u; right++) {
+    if (pred(A[right])) {
+      swap(A, left, right);
+      left = left + 1;
+    }
+  }
+  return left;
+}
+
+
+/*
+
+13.3 Quick sort
+
+Select a pivot, partition the rest of the elements into the ones less than the
+pivot and the others, put the pivot between them, and sort the two parts.
+
+  sort [] = []
+  sort (x : xs) = sort [a | a ∈ xs, a < x] ++ [x] ++ sort [b | b ∈ xs, x ≤ b]
+
+It takes O(n lg n) time on average, but O(n²) in the worst case, when the pivot
+is always the minimum or the maximum, so one part is empty. With the first
+element as the pivot, this happens for sorted input. The pivot strategy is
+pluggable, it is a function returning the index of the pivot in the range
+[l, u):
+
+• first: the first element, the original algorithm;
+
+• median3: the median of the first, the middle and the last element, which
+  works well for sorted and reversed input. It also sorts these three elements
+  in place, otherwise the swaps of the partition may leave the parts in an
+  order, which makes the next medians bad;
+
+• random(seed): a random element from a seeded generator, so the expected time
+  is O(n lg n) for any input, and the runs can be reproduced.
+
+The Lomuto partition above swaps more than needed, and all the elements equal to
+the pivot go to the same part. Quick sort partitions in Hoare’s way instead:
+scan from both ends towards the middle, stop at an element not less than the
+pivot on the left, and at one not greater on the right, and swap them. Elements
+equal to the pivot stop both scans, so they are spread evenly into both parts.
+
+The smaller part is sorted recursively, and the larger one in a loop, so the
+depth of the recursion is O(lg n) even in the worst case.
+
+*/
+
+var pivots = {
+  first: function(A, l) {
+    return l;
+  },
+
+  // sorts the first, the middle and the last element in place
+  median3: function(A, l, u, cmp) {
+    var m = l + Math.floor((u - l) / 2);
+    if (cmp(A[m], A[l]) < 0) {
+      swap(A, l, m);
+    }
+    if (cmp(A[u - 1], A[m]) < 0) {
+      swap(A, m, u - 1);
+      if (cmp(A[m], A[l]) < 0) {
+        swap(A, l, m);
+      }
+    }
+    return m;
+  },
+
+
+  // @param <number> seed - optional seed of the random generator
+  random: function(seed) {
+    if (seed === undefined) {
+      seed = Math.floor(Math.random() * 4294967296);
+    }
+    var rand = utils.random(seed);
+    return function(A, l, u) {
+      return l + Math.floor(rand() * (u - l));
+    };
+  }
+};
+
+// @param <array> A
+// @param <function> cmp - optional comparator
+// @param <function> pivot - optional pivot strategy, median3 by default
+// @return <array> A sorted in place
+function quickSort(A, cmp, pivot) {
+  checkArray(A);
+  cmp = utils.comparator(cmp);
+  pivot = pivot || pivots.median3;
+  if (!utils.isFunction(pivot)) {
+    throw new TypeError();
+  }
+
+  (function sort(l, u) {
+    while (u - l > 1) {
+      swap(A, l, pivot(A, l, u, cmp));
+      let x = A[l];
+      let i = l;
+      let j = u;
+      while (true) {
+        do {
+          i = i + 1;
+        } while (i < u && cmp(A[i], x) < 0);
+        do {
+          j = j - 1;
+        } while (cmp(x, A[j]) < 0);
+        if (j <= i) {
+          break;
+        }
+        swap(A, i, j);
+      }
+      swap(A, l, j);
+      // A[l .. j) ≤ x, A[j] = x, x ≤ A[j + 1 .. u)
+      if (j - l < u - j - 1) {
+        sort(l, j);
+        l = j + 1;
+      } else {
+        sort(j + 1, u);
+        u = j;
+      }
+    }
+  })(0, A.length);
+
+  return A;
+}
+
+quickSort.stable = false;
+
+
+/*
+
+13.4 3-way partition
+
+When there are many duplicated elements, the two-way partition puts all the
+elements equal to the pivot into one part, and with all elements equal, the
+time is O(n²). The 3-way partition (the Dutch national flag problem by Dijkstra)
+divides the range into three parts: less than, equal to, and greater than the
+pivot. The middle part is already in its final place.
+
+Dijkstra’s solution scans the range from left to right, and swaps every greater
+element to the end, which moves the elements a lot, and turns sorted ranges into
+reversed ones. Bentley and McIlroy [2] scan from both ends as in Hoare’s
+partition, and swap the elements equal to the pivot x to the two ends of the
+range, so during the scan:
+
+  A[l .. p] = x,  A(p .. i) < x,  A[i .. j] unknown,  A(j .. q) > x,
+  A[q .. u) = x
+
+When the scans meet, the equal elements are swapped from the ends to the middle.
+If there are no duplicates, it is as fast as the two-way partition.
+
+*/
+
+// 3-way partition of A[l .. u) around the pivot x = A[k]
+// @return <array> [lt, gt], where A[l .. lt) < x, A[lt .. gt) = x,
+//   x < A[gt .. u)
+function partition3(A, l, u, k, cmp) {
+  if (u - l < 2) {
+    return [l, u];
+  }
+
+  swap(A, l, k);
+  var x = A[l];
+  var hi = u - 1;
+  var i = l;
+  var j = u;
+  var p = l;
+  var q = u;
+
+  while (true) {
+    do {
+      i = i + 1;
+    } while (cmp(A[i], x) < 0 && i !== hi);
+    do {
+      j = j - 1;
+    } while (cmp(x, A[j]) < 0 && j !== l);
+
+    if (i === j && cmp(A[i], x) === 0) {
+      swap(A, ++p, i);
+    }
+    if (i >= j) {
+      break;
+    }
+    swap(A, i, j);
+    if (cmp(A[i], x) === 0) {
+      swap(A, ++p, i);
+    }
+    if (cmp(A[j], x) === 0) {
+      swap(A, --q, j);
+    }
+  }
+
+  i = j + 1;
+  for (var a = l; a <= p; a++) {
+    swap(A, a, j--);
+  }
+  for (var b = hi; b >= q; b--) {
+    swap(A, b, i++);
+  }
+  return [j + 1, i];
+}
+
+// @param <array> A
+// @param <function> cmp - optional comparator
+// @param <function> pivot - optional pivot strategy, median3 by default
+// @return <array> A sorted in place
+function quickSort3Way(A, cmp, pivot) {
+  checkArray(A);
+  cmp = utils.comparator(cmp);
+  pivot = pivot || pivots.median3;
+  if (!utils.isFunction(pivot)) {
+    throw new TypeError();
+  }
+
+  (function sort(l, u) {
+    while (u - l > 1) {
+      let bounds = partition3(A, l, u, pivot(A, l, u, cmp), cmp);
+      let lt = bounds[0];
+      let gt = bounds[1];
+      if (lt - l < u - gt) {
+        sort(l, lt);
+        l = gt;
+      } else {
+        sort(gt, u);
+        u = lt;
+      }
+    }
+  })(0, A.length);
+
+  return A;
+}
+
+quickSort3Way.stable = false;
+
+
+/*
+
+13.5 Merge sort
+
+Divide the array into two halves, sort them recursively, and merge the sorted
+halves: repeatedly take the smaller of the two first elements. When they are
+equal, the one from the left half is taken first, so merge sort is stable. The
+halves ensure O(n lg n) time in the worst case, but merging needs O(n) extra
+space.
+
+  sort [] = []
+  sort [x] = [x]
+  sort xs = merge (sort as) (sort bs), where (as, bs) = splitAt ⌊|xs| / 2⌋ xs
+
+*/
+
+// merges the sorted ranges A[l .. m) and A[m .. u) using the buffer B
+function merge(A, l, m, u, B, cmp) {
+  var i = l;
+  var j = m;
+  var k = 0;
+  while (i < m && j < u) {
+    B[k++] = (cmp(A[j], A[i]) < 0) ? A[j++] : A[i++];
+  }
+  while (i < m) {
+    B[k++] = A[i++];
+  }
+  while (j < u) {
+    B[k++] = A[j++];
+  }
+  for (k = 0; k < u - l; k++) {
+    A[l + k] = B[k];
+  }
+}
+
+// @param <array> A
+// @param <function> cmp - optional comparator
+// @return <array> A sorted in place
+function mergeSort(A, cmp) {
+  checkArray(A);
+  cmp = utils.comparator(cmp);
+  var B = new Array(A.length);
+
+  (function sort(l, u) {
+    if (u - l > 1) {
+      let m = l + Math.floor((u - l) / 2);
+      sort(l, m);
+      sort(m, u);
+      merge(A, l, m, u, B, cmp);
+    }
+  })(0, A.length);
+
+  return A;
+}
+
+mergeSort.stable = true;
+
+
+/*
+
+13.6 In-place merge sort
+
+To merge without the extra space, part of the array itself is used as the
+working area. Merging two sorted ranges into the working area by swapping
+(wmerge) moves the original elements of the working area into the place of the
+merged ones, so they are not lost, only reordered.
+
+  wsort(l, u, w) sorts A[l .. u) into the working area at w: it sorts the two
+  halves with imsort, and merges them into the working area;
+
+  imsort(l, u) sorts the second half of the range into the first half
+  (working area), so the sorted elements are at the end. Then it sorts the
+  first half of the unsorted part into the second half of it, and merges the
+  two sorted parts into the rest. Every step halves the unsorted part, so there
+  are O(lg n) steps. The last one or two elements are inserted directly.
+
+It takes O(n lg n) time, and O(1) extra space (besides the O(lg n) recursion),
+but it is not stable, because the swaps reorder the elements of the working
+area.
+
+*/
+
+// merges A[i .. m) and A[j .. n) into the working area at w, by swapping
+function wmerge(A, i, m, j, n, w, cmp) {
+  while (i < m && j < n) {
+    swap(A, w++, (cmp(A[i], A[j]) < 0) ? i++ : j++);
+  }
+  while (i < m) {
+    swap(A, w++, i++);
+  }
+  while (j < n) {
+    swap(A, w++, j++);
+  }
+}
+
+// @param <array> A
+// @param <function> cmp - optional comparator
+// @return <array> A sorted in place
+function inPlaceMergeSort(A, cmp) {
+  checkArray(A);
+  cmp = utils.comparator(cmp);
+
+  // sorts A[l .. u) into the working area at w
+  function wsort(l, u, w) {
+    if (u - l > 1) {
+      let m = l + Math.floor((u - l) / 2);
+      imsort(l, m);
+      imsort(m, u);
+      wmerge(A, l, m, m, u, w, cmp);
+    } else {
+      while (l < u) {
+        swap(A, l++, w++);
+      }
+    }
+  }
+
+  function imsort(l, u) {
+    if (u - l > 1) {
+      let m = l + Math.floor((u - l) / 2);
+      let w = l + u - m;
+      // sort A[l .. m) into A[w .. u)
+      wsort(l, m, w);
+      while (w - l > 2) {
+        let n = w;
+        w = l + Math.floor((n - l + 1) / 2);
+        // sort A[w .. n) into A[l ..), then merge with A[n .. u)
+        wsort(w, n, l);
+        wmerge(A, l, l + n - w, n, u, w, cmp);
+      }
+      // insert the remaining elements
+      for (let n = w; n > l; n--) {
+        for (let k = n; k < u && cmp(A[k], A[k - 1]) < 0; k++) {
+          swap(A, k, k - 1);
+        }
+      }
+    }
+  }
+
+  imsort(0, A.length);
+  return A;
+}
+
+inPlaceMergeSort.stable = false;
+
+
+/*
+
+13.7 Bottom-up merge sort
+
+The recursion can be removed: first merge the pairs of single elements, then the
+pairs of sorted ranges of length 2, 4, 8, ..., until the whole array is merged.
+There are ⌈lg n⌉ passes, each takes O(n) time.
+
+*/
+
+// @param <array> A
+// @param <function> cmp - optional comparator
+// @return <array> A sorted in place
+function bottomUpMergeSort(A, cmp) {
+  checkArray(A);
+  cmp = utils.comparator(cmp);
+  var n = A.length;
+  var B = new Array(n);
+
+  for (var width = 1; width < n; width = 2 * width) {
+    for (let l = 0; l + width < n; l = l + 2 * width) {
+      merge(A, l, l + width, Math.min(l + 2 * width, n), B, cmp);
+    }
+  }
+  return A;
+}
+
+bottomUpMergeSort.stable = true;
+
+
+/*
+
+13.8 Natural merge sort
+
+Real data often contains sorted runs already. Natural merge sort starts from the
+maximal non-descending runs instead of single elements, and merges the adjacent
+runs pairwise, until one run remains. Sorted input is a single run, and takes
+O(n) time; in general it takes O(n lg r) time for r runs.
+
+*/
+
+// @param <array> A
+// @param <function> cmp - optional comparator
+// @return <array> A sorted in place
+function naturalMergeSort(A, cmp) {
+  checkArray(A);
+  cmp = utils.comparator(cmp);
+  var n = A.length;
+  var B = new Array(n);
+
+  // the start indices of the runs, and n at the end
+  var runs = [0];
+  for (var i = 1; i < n; i++) {
+    if (cmp(A[i], A[i - 1]) < 0) {
+      runs.push(i);
+    }
+  }
+  runs.push(n);
+
+  while (runs.length > 2) {
+    let next = [];
+    let k;
+    for (k = 0; k + 2 < runs.length; k = k + 2) {
+      merge(A, runs[k], runs[k + 1], runs[k + 2], B, cmp);
+      next.push(runs[k]);
+    }
+    // an odd run is left as it is
+    for (; k < runs.length; k++) {
+      next.push(runs[k]);
+    }
+    runs = next;
+  }
+  return A;
+}
+
+naturalMergeSort.stable = true;
+
+
+/*
+
+Bibliography
+
+[1] Thomas H. Cormen, Charles E. Leiserson, Ronald L. Rivest and Clifford
+    Stein. “Introduction to Algorithms, Second Edition”. ISBN:0262032937.
+    The MIT Press. 2001
+
+[2] Jon Bentley, M. Douglas McIlroy. “Engineering a sort function”.
+    Software Practice and Experience, 23(11):1249–1265. 1993
+
+[3] Jyrki Katajainen, Tomi Pasanen, Jukka Teuhola. “Practical in-place
+    mergesort”. Nordic Journal of Computing, 3(1):27–40. 1996
+
+*/
+
+
+
+module.exports = {
+  partition: partition,
+  partition3: partition3,
+  pivots: pivots,
+  quickSort: quickSort,
+  quickSort3Way: quickSort3Way,
+  mergeSort: mergeSort,
+  inPlaceMergeSort: inPlaceMergeSort,
+  bottomUpMergeSort: bottomUpMergeSort,
+  naturalMergeSort: naturalMergeSort
+};
@@ -0,0 +1,539 @@
+#!/usr/bin/env node
+
+/**
+ * Elementary Algorithms in JavaScript
+ *
+ * Creator:
+ * Peter Bakondy
+ * https://github.com/pbakondy/elementary-algorithms-in-javascript/
+ *
+ * Based on:
+ * Elementary Algorithms and Data structures
+ * by Larry LIU Xinyu <liuxinyu95@gmail.com>
+ * https://github.com/liuxinyu95/AlgoXY
+ *
+ * License: GNU GPLv3
+ */
+
+'use strict';
+
+var utils = require('../utils/utils.js');
+var sorting = require('./quick_merge_sort.js');
+
+
+/*
+
+14.1 Introduction
+
+This chapter is about searching: the k-th element of an unordered array, an
+element of a sorted array, a solution of an equation of a monotone function,
+and a pattern in a text. The divide and conquer idea of the previous chapter
+helps in all of these: most of the elements can be dropped without looking at
+them.
+
+14.2 The k-th smallest element
+
+The k-th smallest element can be found by sorting in O(n lg n) time, but it can
+be done faster. Partition the array around a pivot, like quick sort does. The
+partition tells which part contains the k-th element, and only that part must be
+searched further, the other one is dropped.
+
+  top k (x : xs) = x             : |as| = k
+                 = top k as      : k < |as|
+                 = top (k − |as| − 1) bs : otherwise
+    where (as, bs) = partition (< x) xs
+
+It takes O(n) time on average, but O(n²) in the worst case, like quick sort. The
+3-way partition of chapter 13 is used, so duplicated elements don’t hurt. The
+indices k are 0-based: the k-th element is the one at index k after sorting. The
+functions rearrange the array in place: after they return, the k-th element is
+at index k, the elements before it are not greater, the ones after it are not
+less.
+
+*/
+
+function swap(A, i, j) {
+  var tmp = A[i];
+  A[i] = A[j];
+  A[j] = tmp;
+}
+
+function checkSelect(A, k) {
+  if (!utils.isArray(A) || !Number.isInteger(k)) {
+    throw new TypeError();
+  }
+  if (k < 0 || k >= A.length) {
+    throw new RangeError('The index k is out of range');
+  }
+}
+
+// @param <array> A
+// @param <number> k - 0-based index in the sorted order
+// @param <function> cmp - optional comparator
+// @param <function> pivot - optional pivot strategy (see quick sort), median3 by
+//   default
+// @return <*> the k-th smallest element
+function quickSelect(A, k, cmp, pivot) {
+  checkSelect(A, k);
+  cmp = utils.comparator(cmp);
+  pivot = pivot || sorting.pivots.median3;
+  if (!utils.isFunction(pivot)) {
+    throw new TypeError();
+  }
+
+  var l = 0;
+  var u = A.length;
+  while (true) {
+    let p = sorting.partition3(A, l, u, pivot(A, l, u, cmp), cmp);
+    if (k < p[0]) {
+      u = p[0];
+    } else if (k >= p[1]) {
+      l = p[1];
+    } else {
+      return A[k];
+    }
+  }
+}
+
+
+/*
+
+14.2.1 Median of medians
+
+To guarantee O(n) time in the worst case, the pivot must split the array well.
+Blum, Floyd, Pratt, Rivest and Tarjan [1] showed such a pivot: divide the array
+into groups of 5, find the median of every group, and select the median of these
+n / 5 medians recursively. At least 3/10 of the elements are less than the
+pivot, and 3/10 are greater, so each step drops at least 3/10 of the elements:
+
+  T(n) ≤ T(n / 5) + T(7n / 10) + O(n) = O(n)
+
+*/
+
+function insertionSort(A, l, u, cmp) {
+  for (var i = l + 1; i < u; i++) {
+    for (let j = i; j > l && cmp(A[j], A[j - 1]) < 0; j--) {
+      swap(A, j, j - 1);
+    }
+  }
+}
+
+// selects the k-th element of A[l .. u) into index k
+function bfprt(A, l, u, k, cmp) {
+  while (u - l > 5) {
+    // move the medians of the groups of 5 to the front
+    let m = l;
+    for (let i = l; i < u; i = i + 5) {
+      let e = Math.min(i + 5, u);
+      insertionSort(A, i, e, cmp);
+      swap(A, m++, i + Math.floor((e - i - 1) / 2));
+    }
+    let mid = l + Math.floor((m - l - 1) / 2);
+    bfprt(A, l, m, mid, cmp);
+
+    let p = sorting.partition3(A, l, u, mid, cmp);
+    if (k < p[0]) {
+      u = p[0];
+    } else if (k >= p[1]) {
+      l = p[1];
+    } else {
+      return;
+    }
+  }
+  insertionSort(A, l, u, cmp);
+}
+
+// @param <array> A
+// @param <number> k - 0-based index in the sorted order
+// @param <function> cmp - optional comparator
+// @return <*> the k-th smallest element, in O(n) time in the worst case
+function medianOfMedians(A, k, cmp) {
+  checkSelect(A, k);
+  cmp = utils.comparator(cmp);
+
+  bfprt(A, 0, A.length, k, cmp);
+  return A[k];
+}
+
+
+/*
+
+14.3 Binary search
+
+In a sorted array, the middle element tells which half may contain x, the other
+half is dropped, so the search takes O(lg n) time.
+
+The functions below follow the search functions of the binary search tree
+(chapter 1), so a sorted array and a tree can be used interchangeably:
+
+• lowerBound(A, x) is the index of the first element not less than x, and
+  upperBound(A, x) is the index of the first element greater than x. If there
+  is no such element, it is A.length. The tree returns the key itself instead,
+  A[i] here, or null where the index is A.length;
+
+• floor and ceiling return the greatest element not greater than x, and the
+  least element not less than x, or null;
+
+• range(A, a, b) iterates over the elements in [a, b], and countInRange counts
+  them.
+
+*/
+
+function checkArray(A) {
+  if (!utils.isArray(A)) {
+    throw new TypeError();
+  }
+}
+
+// @param <array> A - sorted array
+// @param <*> x
+// @param <function> cmp - optional comparator
+// @return <number> the index of the first element not less than x
+function lowerBound(A, x, cmp) {
+  checkArray(A);
+  cmp = utils.comparator(cmp);
+
+  var l = 0;
+  var u = A.length;
+  while (l < u) {
+    let m = l + Math.floor((u - l) / 2);
+    if (cmp(A[m], x) < 0) {
+      l = m + 1;
+    } else {
+      u = m;
+    }
+  }
+  return l;
+}
+
+// @return <number> the index of the first element greater than x
+function upperBound(A, x, cmp) {
+  checkArray(A);
+  cmp = utils.comparator(cmp);
+
+  var l = 0;
+  var u = A.length;
+  while (l < u) {
+    let m = l + Math.floor((u - l) / 2);
+    if (cmp(A[m], x) <= 0) {
+      l = m + 1;
+    } else {
+      u = m;
+    }
+  }
+  return l;
+}
+
+// @return the greatest element not greater than x, or null
+function floor(A, x, cmp) {
+  var i = upperBound(A, x, cmp);
+  return i > 0 ? A[i - 1] : null;
+}
+
+// @return the least element not less than x, or null
+function ceiling(A, x, cmp) {
+  var i = lowerBound(A, x, cmp);
+  return i < A.length ? A[i] : null;
+}
+
+// @return <iterator> elements in [a, b] in increasing order
+function* range(A, a, b, cmp) {
+  var l = lowerBound(A, a, cmp);
+  var u = upperBound(A, b, cmp);
+  for (var i = l; i < u; i++) {
+    yield A[i];
+  }
+}
+
+// @return <number> number of elements in [a, b]
+function countInRange(A, a, b, cmp) {
+  var l = lowerBound(A, a, cmp);
+  var u = upperBound(A, b, cmp);
+  return Math.max(u - l, 0);
+}
+
+
+/*
+
+14.4 Saddleback search
+
+Find all the natural numbers x and y, for which f(x, y) = z, where f is strictly
+increasing in both arguments, for example f(x, y) = x² + y³. Since f takes
+integer values, f(x, y) ≥ f(0, 0) + x + y, so the solutions are in the square
+[0, z] × [0, z], and checking all of them takes O(z²) time.
+
+Saddleback search starts at the top-left corner (0, m) of the area and walks
+towards the bottom-right corner (n, 0):
+
+• if f(x, y) < z, all the points below (x, y) are less, so x is increased;
+
+• if f(x, y) > z, all the points right to (x, y) are greater, so y is
+  decreased;
+
+• if f(x, y) = z, it is a solution, and both x and y can be changed.
+
+The area is first reduced by binary search: m is the greatest y for which
+f(0, y) ≤ z, n is the greatest x for which f(x, 0) ≤ z. So the search takes
+O(lg z + m + n) time.
+
+*/
+
+// @return <number> the greatest x in [l, u] for which g(x) ≤ z, or l − 1
+function bsearch(g, z, l, u) {
+  while (l <= u) {
+    let m = l + Math.floor((u - l) / 2);
+    if (g(m) <= z) {
+      l = m + 1;
+    } else {
+      u = m - 1;
+    }
+  }
+  return u;
+}
+
+// @param <function> f - strictly increasing integer function of two naturals
+// @param <number> z - natural number
+// @return <array> all the pairs [x, y] for which f(x, y) = z, x increasing
+function saddleback(f, z) {
+  if (!utils.isFunction(f) || !Number.isInteger(z) || z < 0) {
+    throw new TypeError();
+  }
+
+  var m = bsearch(function(y) {
+    return f(0, y);
+  }, z, 0, z);
+  var n = bsearch(function(x) {
+    return f(x, 0);
+  }, z, 0, z);
+
+  var result = [];
+  var x = 0;
+  var y = m;
+  while (x <= n && y >= 0) {
+    let v = f(x, y);
+    if (v < z) {
+      x = x + 1;
+    } else if (v > z) {
+      y = y - 1;
+    } else {
+      result.push([x, y]);
+      x = x + 1;
+      y = y - 1;
+    }
+  }
+  return result;
+}
+
+
+/*
+
+14.5 String matching
+
+Find all the positions of a pattern P of length m in a text T of length n. The
+naive way compares P with T at every position, O(nm) time. Both algorithms below
+use what is known from the previous comparisons, to shift P further than one
+position at a time. They work on strings and on arrays (the elements are
+compared with ===), and return the positions in increasing order. The empty
+pattern occurs at every position 0 .. n.
+
+14.5.1 Knuth-Morris-Pratt
+
+When P[0 .. q) matched, and then P[q] doesn’t match, the text before the
+current position is P[0 .. q), so it is known without looking at the text. P can
+be shifted to the longest proper prefix of P[0 .. q), which is also a suffix
+of it, and the comparison goes on at P[k], where k is the length of that prefix,
+without moving back in the text. The lengths are computed from the pattern
+only, in the failure function:
+
+  π(q) = max { k < q : P[0 .. k) is a suffix of P[0 .. q) }
+
+Each text element is compared O(1) times amortized, so the search takes O(n + m)
+time.
+
+*/
+
+function checkText(T, P) {
+  if ((typeof T !== 'string' && !utils.isArray(T)) ||
+      (typeof P !== 'string' && !utils.isArray(P))) {
+    throw new TypeError();
+  }
+}
+
+function failure(P) {
+  var pi = new Array(P.length + 1);
+  pi[0] = 0;
+  pi[1] = 0;
+  var k = 0;
+  for (var q = 1; q < P.length; q++) {
+    while (k > 0 && P[k] !== P[q]) {
+      k = pi[k];
+    }
+    if (P[k] === P[q]) {
+      k = k + 1;
+    }
+    pi[q + 1] = k;
+  }
+  return pi;
+}
+
+function everyPosition(T) {
+  var result = [];
+  for (var i = 0; i <= T.length; i++) {
+    result.push(i);
+  }
+  return result;
+}
+
+// @param <string|array> T - text
+// @param <string|array> P - pattern
+// @return <array> the positions of P in T
+function kmpSearch(T, P) {
+  checkText(T, P);
+  if (P.length === 0) {
+    return everyPosition(T);
+  }
+
+  var pi = failure(P);
+  var result = [];
+  var q = 0;
+  for (var i = 0; i < T.length; i++) {
+    while (q > 0 && P[q] !== T[i]) {
+      q = pi[q];
+    }
+    if (P[q] === T[i]) {
+      q = q + 1;
+    }
+    if (q === P.length) {
+      result.push(i - P.length + 1);
+      q = pi[q];
+    }
+  }
+  return result;
+}
+
+
+/*
+
+14.5.2 Boyer-Moore
+
+Boyer and Moore [3] compare the pattern with the text from right to left. When a
+mismatch happens, two rules tell how far the pattern can be shifted, and the
+greater shift is taken:
+
+• the bad character rule: the mismatched text element c must be aligned with the
+  last occurrence of c in the pattern (left to the current position), or the
+  pattern can be shifted past it, if c doesn’t occur in the pattern;
+
+• the good suffix rule: the suffix of the pattern that already matched must be
+  aligned with another occurrence of it in the pattern, which is preceded by a
+  different element, or with the longest prefix of the pattern which is also a
+  suffix of the matched part.
+
+The shifts are computed from the pattern in O(m) time. In practice, for large
+alphabets, most shifts are close to m, so only about n / m elements of the text
+are examined. With the good suffix rule the worst case is O(n + m) if the
+pattern doesn’t occur, and O(nm) if it occurs many times.
+
+*/
+
+// @return <array> shift[j]: the shift when P[j .. m) matched, and P[j − 1] not
+function goodSuffix(P) {
+  var m = P.length;
+  var shift = new Array(m + 1).fill(0);
+  // border[i]: the start of the widest border of P[i .. m)
+  var border = new Array(m + 1);
+  var i = m;
+  var j = m + 1;
+  border[i] = j;
+  while (i > 0) {
+    while (j <= m && P[i - 1] !== P[j - 1]) {
+      if (shift[j] === 0) {
+        shift[j] = j - i;
+      }
+      j = border[j];
+    }
+    i = i - 1;
+    j = j - 1;
+    border[i] = j;
+  }
+
+  j = border[0];
+  for (i = 0; i <= m; i++) {
+    if (shift[i] === 0) {
+      shift[i] = j;
+    }
+    if (i === j) {
+      j = border[j];
+    }
+  }
+  return shift;
+}
+
+// @param <string|array> T - text
+// @param <string|array> P - pattern
+// @return <array> the positions of P in T
+function boyerMooreSearch(T, P) {
+  checkText(T, P);
+  if (P.length === 0) {
+    return everyPosition(T);
+  }
+
+  var m = P.length;
+  var last = new Map();
+  for (var i = 0; i < m; i++) {
+    last.set(P[i], i);
+  }
+  var shift = goodSuffix(P);
+
+  var result = [];
+  var s = 0;
+  while (s <= T.length - m) {
+    let j = m - 1;
+    while (j >= 0 && P[j] === T[s + j]) {
+      j = j - 1;
+    }
+    if (j < 0) {
+      result.push(s);
+      s = s + shift[0];
+    } else {
+      let c = last.has(T[s + j]) ? last.get(T[s + j]) : -1;
+      s = s + Math.max(shift[j + 1], j - c);
+    }
+  }
+  return result;
+}
+
+
+/*
+
+Bibliography
+
+[1] Manuel Blum, Robert W. Floyd, Vaughan Pratt, Ronald L. Rivest and Robert E.
+    Tarjan. “Time bounds for selection”. Journal of Computer and System
+    Sciences, 7(4):448–461. 1973
+
+[2] Edsger W. Dijkstra. “The saddleback search”. EWD-934. 1985
+
+[3] Robert S. Boyer, J Strother Moore. “A fast string searching algorithm”.
+    Communications of the ACM, 20(10):762–772. 1977
+
+[4] Donald E. Knuth, James H. Morris, Vaughan R. Pratt. “Fast pattern matching
+    in strings”. SIAM Journal on Computing, 6(2):323–350. 1977
+
+*/
+
+
+
+module.exports = {
+  quickSelect: quickSelect,
+  medianOfMedians: medianOfMedians,
+  lowerBound: lowerBound,
+  upperBound: upperBound,
+  floor: floor,
+  ceiling: ceiling,
+  range: range,
+  countInRange: countInRange,
+  saddleback: saddleback,
+  kmpSearch: kmpSearch,
+  boyerMooreSearch: boyerMooreSearch
+};
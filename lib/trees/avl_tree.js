@@ -0,0 +1,343 @@
+#!/usr/bin/env node
+
+/**
+ * Elementary Algorithms in JavaScript
+ *
+ * Creator:
+ * Peter Bakondy
+ * https://github.com/pbakondy/elementary-algorithms-in-javascript/
+ *
+ * Based on:
+ * Elementary Algorithms and Data structures
+ * by Larry LIU Xinyu <liuxinyu95@gmail.com>
+ * https://github.com/liuxinyu95/AlgoXY
+ *
+ * License: GNU GPLv3
+ */
+
+'use strict';
+
+var utils = require('../utils/utils.js');
+var bst = require('./binary_search_tree.js');
+
+
+/*
+
+4.1 Introduction
+
+The red-black tree keeps the tree balanced by the colors of the nodes. The AVL
+tree, named after its inventors Adelson-Velskii and Landis, is older and more
+direct: it limits the difference of the heights of the children [1].
+
+The balance factor of a node is defined as
+
+  δ(T) = |Tr| − |Tl|
+
+where |T| is the height of the tree T, and the height of the empty tree is 0.
+A binary search tree is an AVL tree, if for every node
+
+  |δ(T)| ≤ 1
+
+It can be shown that the height of an AVL tree with n nodes is less than
+1.44 lg(n + 2), compared to 2 lg(n + 1) of the red-black tree. So the AVL tree
+is more strictly balanced, and lookups are a bit faster, while insertion and
+deletion may need more rotations.
+
+4.2 Data layout
+
+The node is the node of the BST, with the height of the subtree stored in it, so
+δ can be calculated in O(1) time. As with the red-black tree, the querying
+functions of the BST work on AVL trees without any change.
+
+*/
+
+function height(x) {
+  return x ? x.height : 0;
+}
+
+function delta(x) {
+  return height(x.right) - height(x.left);
+}
+
+function updateHeight(x) {
+  x.height = Math.max(height(x.left), height(x.right)) + 1;
+}
+
+
+/*
+
+4.3 Rebalancing
+
+Insertion and deletion change the height of a subtree by at most one, so the
+balance factor of a node on the path to the root may become ±2. Such a node is
+restored with rotations. Consider δ(x) = 2, that is the right child y is higher
+by two. There are two cases:
+
+• δ(y) ≥ 0, the outer child of y is not lower: a single left rotation around
+  x raises y, and both x and y become balanced;
+
+• δ(y) < 0, the inner child z of y is higher: first rotate right around y,
+  then left around x. This raises z above both x and y.
+
+The case δ(x) = −2 is symmetric. After a rotation only the heights of the
+rotated nodes change, and they are recalculated from the bottom.
+
+Going from the changed node up to the root, every node is rebalanced. The path
+is O(lg n) long, and each step takes O(1) time.
+
+*/
+
+// @param <T> T - root of the tree
+// @param <Node> x - node to rebalance, its children are balanced
+// @return <T> root of the tree
+function rebalance(T, x) {
+  var y;
+
+  updateHeight(x);
+  if (delta(x) > 1) {
+    y = x.right;
+    if (delta(y) < 0) {
+      T = bst.rotateRight(T, y);
+      updateHeight(y);
+      updateHeight(y.parent);
+    }
+    T = bst.rotateLeft(T, x);
+    updateHeight(x);
+    updateHeight(x.parent);
+  } else if (delta(x) < -1) {
+    y = x.left;
+    if (delta(y) > 0) {
+      T = bst.rotateLeft(T, y);
+      updateHeight(y);
+      updateHeight(y.parent);
+    }
+    T = bst.rotateRight(T, x);
+    updateHeight(x);
+    updateHeight(x.parent);
+  }
+  return T;
+}
+
+// rebalance every node from x up to the root
+function rebalanceUp(T, x) {
+  while (x) {
+    T = rebalance(T, x);
+    x = x.parent;
+  }
+  return T;
+}
+
+
+/*
+
+4.4 Insertion
+
+The key is inserted as a new leaf of height 1, as in the BST, then the path
+from its parent up to the root is rebalanced. Insertion takes O(lg n) time.
+
+*/
+
+// @param <T> T - root of the tree
+// @param <*> k - new key
+// @param <function> cmp - optional comparator
+// @param <*> value - optional satellite data
+// @return <T> root of the new tree
+function insert(T, k, cmp, value) {
+  cmp = utils.comparator(cmp);
+
+  var x = new bst.Node(k, null, null, value);
+  var parent = null;
+  var y = T;
+
+  x.height = 1;
+
+  while (y) {
+    parent = y;
+    if (cmp(k, y.key) < 0) {
+      y = y.left;
+    } else {
+      y = y.right;
+    }
+  }
+  x.parent = parent;
+  if (!parent) {
+    return x;
+  }
+  if (cmp(k, parent.key) < 0) {
+    parent.left = x;
+  } else {
+    parent.right = x;
+  }
+  return rebalanceUp(T, parent);
+}
+
+// @param <array> X
+// @param <function> cmp - optional comparator
+// @return <T> Tree
+function fromList(X, cmp) {
+  if (!utils.isArray(X)) {
+    throw new TypeError();
+  }
+
+  var T = null;
+  for (var i = 0; i < X.length; i++) {
+    T = insert(T, X[i], cmp);
+  }
+  return T;
+}
+
+
+/*
+
+4.5 Deletion
+
+The node z is removed as in the red-black tree: if it has at most one child,
+the child takes its place; otherwise its successor y is moved into the place of
+z. The lowest node whose subtree changed is the parent of the removed position,
+and the path from it up to the root is rebalanced. Deletion takes O(lg n) time,
+but unlike insertion it may need rotations on every level.
+
+*/
+
+// replace the subtree rooted at u with the subtree rooted at v
+function transplant(T, u, v) {
+  if (!u.parent) {
+    T = v;
+  } else if (u === u.parent.left) {
+    u.parent.left = v;
+  } else {
+    u.parent.right = v;
+  }
+  if (v) {
+    v.parent = u.parent;
+  }
+  return T;
+}
+
+// @param <T> T - root of the tree
+// @param <Node> z - node to delete
+// @return <T> root of the new tree
+function deleteNode(T, z) {
+  if (!z) {
+    return T;
+  }
+
+  var y, lowest;
+
+  if (!z.left) {
+    lowest = z.parent;
+    T = transplant(T, z, z.right);
+  } else if (!z.right) {
+    lowest = z.parent;
+    T = transplant(T, z, z.left);
+  } else {
+    y = z.right;
+    while (y.left) {
+      y = y.left;
+    }
+    if (y.parent === z) {
+      lowest = y;
+    } else {
+      lowest = y.parent;
+      T = transplant(T, y, y.right);
+      y.right = z.right;
+      y.right.parent = y;
+    }
+    T = transplant(T, z, y);
+    y.left = z.left;
+    y.left.parent = y;
+  }
+
+  z.left = z.right = z.parent = null;
+
+  return rebalanceUp(T, lowest);
+}
+
+// @param <T> T - root of the tree
+// @param <*> k - key to delete
+// @param <function> cmp - optional comparator
+// @return <T> root of the new tree
+function deleteValue(T, k, cmp) {
+  return deleteNode(T, bst.search(T, k, cmp));
+}
+
+
+/*
+
+4.6 Verification
+
+To verify a tree, every node is checked bottom up: the keys are in order, the
+parent pointers are consistent, the stored height is correct, and the balance
+factor is within [−1, 1]. The check uses foldTree of the BST, so it is not
+recursive, and it takes O(n) time.
+
+*/
+
+// @param <T> T - root of the tree
+// @param <function> cmp - optional comparator
+// @return <boolean> true if T is a valid AVL tree
+function verify(T, cmp) {
+  cmp = utils.comparator(cmp);
+
+  if (T && T.parent) {
+    return false;
+  }
+
+  // the fold returns the height and the key range of a valid subtree,
+  // false for an invalid one, and null for the empty one
+  var result = bst.foldTree(function(l, k, r, x) {
+    if (l === false || r === false) {
+      return false;
+    }
+    if ((x.left && x.left.parent !== x) || (x.right && x.right.parent !== x)) {
+      return false;
+    }
+    if ((l && cmp(l.max, k) > 0) || (r && cmp(r.min, k) < 0)) {
+      return false;
+    }
+    var hl = l ? l.height : 0;
+    var hr = r ? r.height : 0;
+    if (Math.abs(hr - hl) > 1 || x.height !== Math.max(hl, hr) + 1) {
+      return false;
+    }
+    return {
+      height: x.height,
+      min: l ? l.min : k,
+      max: r ? r.max : k
+    };
+  }, null, T);
+
+  return result !== false;
+}
+
+
+/*
+
+Bibliography
+
+[1] G. M. Adelson-Velskii and E. M. Landis. “An algorithm for the
+    organization of information”. Doklady Akademii Nauk SSSR, 146:263–266, 1962
+
+[2] Thomas H. Cormen, Charles E. Leiserson, Ronald L. Rivest and Clifford
+    Stein. “Introduction to Algorithms, Second Edition”. ISBN:0262032937.
+    The MIT Press. 2001
+
+*/
+
+
+
+module.exports = {
+  insert: insert,
+  fromList: fromList,
+  deleteNode: deleteNode,
+  deleteValue: deleteValue,
+  verify: verify,
+  lookup: bst.lookup,
+  search: bst.search,
+  min: bst.min,
+  max: bst.max,
+  succ: bst.succ,
+  pred: bst.pred,
+  inOrderWalk: bst.inOrderWalk,
+  toList: bst.toList
+};
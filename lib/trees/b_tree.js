@@ -0,0 +1,596 @@
+#!/usr/bin/env node
+
+/**
+ * Elementary Algorithms in JavaScript
+ *
+ * Creator:
+ * Peter Bakondy
+ * https://github.com/pbakondy/elementary-algorithms-in-javascript/
+ *
+ * Based on:
+ * Elementary Algorithms and Data structures
+ * by Larry LIU Xinyu <liuxinyu95@gmail.com>
+ * https://github.com/liuxinyu95/AlgoXY
+ *
+ * License: GNU GPLv3
+ */
+
+'use strict';
+
+var utils = require('../utils/utils.js');
+
+
+/*
+
+7.1 Introduction
+
+The B-tree is a generalization of the balanced binary search tree [1]. A node
+holds many keys, and has one more children than keys. It was designed for disks
+and other block devices: reading a node (a page) is expensive, so a page should
+hold as many keys as possible, and the tree should be as flat as possible.
+
+A B-tree of minimum degree t (t ≥ 2) satisfies the following:
+
+• Every node except the root has at least t − 1 keys, and every node has at
+  most 2t − 1 keys;
+
+• The keys in a node are in increasing order, k1 < k2 < ... < kn, and a
+  non-leaf node with n keys has n + 1 children C1, C2, ..., Cn+1, so that
+  all keys in Ci are less than ki, and all keys in Ci+1 are greater than ki;
+
+• All the leaves have the same depth.
+
+So a B-tree with n keys has height at most log_t((n + 1) / 2), and all the
+operations touch O(h) = O(log_t n) pages, and take O(t log_t n) time.
+
+A 2-3-4 tree is a B-tree with t = 2, and it is equivalent to the red-black
+tree.
+
+7.2 Pages
+
+The nodes are stored in pages, which are kept by a page store. The tree holds
+only the id of the root page, and reads every other page through the store. A
+store provides the following methods:
+
+• allocate() returns a new empty leaf page with a new id;
+
+• read(id) returns the page with the given id;
+
+• write(page) saves a modified page;
+
+• free(id) releases the page.
+
+A page is a plain object { id, leaf, keys, values, children }, where children
+are page ids. The tree writes every page it modifies, and never relies on two
+reads of the same page returning the same object, so a store may serialize the
+pages to a file or a database. The MemoryPageStore below keeps them in a Map.
+
+Unlike the BST, the B-tree here doesn’t keep duplicated keys: it maps every key
+to a value, and inserting an existing key overwrites the value.
+
+*/
+
+var MemoryPageStore = (function(){
+  function MemoryPageStore() {
+    this.pages = new Map();
+    this.nextId = 0;
+  }
+
+  MemoryPageStore.prototype.allocate = function() {
+    var page = { id: this.nextId, leaf: true, keys: [], values: [], children: [] };
+    this.nextId = this.nextId + 1;
+    this.pages.set(page.id, page);
+    return page;
+  };
+
+  MemoryPageStore.prototype.read = function(id) {
+    var page = this.pages.get(id);
+    if (!page) {
+      throw new RangeError('Page ' + id + ' does not exist');
+    }
+    return page;
+  };
+
+  MemoryPageStore.prototype.write = function(page) {
+    this.pages.set(page.id, page);
+  };
+
+  MemoryPageStore.prototype.free = function(id) {
+    this.pages.delete(id);
+  };
+
+  return MemoryPageStore;
+})();
+
+
+/*
+
+7.3 Searching
+
+Within a page the keys are sorted, so the position of a key is found by binary
+search, in O(lg t) time. If the key isn’t in the page, the search continues in
+the child at that position.
+
+*/
+
+
+/*
+
+7.4 Insertion
+
+A key is always inserted into a leaf. To make sure that the leaf has room for
+it, every full page (with 2t − 1 keys) met on the way down is split before
+entering it: its middle key moves up to the parent, and the keys before and
+after it make two pages of t − 1 keys. The parent is not full, since it was
+split earlier if it was. If the root is full, a new root is created above it
+first; this is the only way the tree grows higher.
+
+*/
+
+
+/*
+
+7.5 Deletion
+
+Deletion also works in one pass down the tree. Before entering a child, it is
+made sure that the child has at least t keys, so one key can be removed from it
+without breaking the minimum. If the child has only t − 1 keys:
+
+• if a sibling next to it has at least t keys, it borrows one: the separator
+key in the parent moves down into the child, and the nearest key of the
+sibling moves up to replace it (with the nearest child page of the sibling);
+
+• otherwise the child is merged with a sibling and the separator key between
+them into one page of 2t − 1 keys.
+
+When the key is found in a page x:
+
+• if x is a leaf, the key is simply removed;
+
+• if the child before the key has at least t keys, the key is replaced by its
+predecessor (the maximum of that child), which is then deleted from the child;
+
+• if the child after the key has at least t keys, the same with the successor;
+
+• otherwise both children have t − 1 keys; they are merged with the key, and
+the key is deleted from the merged page.
+
+If the root runs out of keys after a merge, its only child becomes the new root;
+this is the only way the tree gets lower.
+
+*/
+
+
+/*
+
+7.6 Traversing
+
+The keys are listed in order by an iterator, which keeps the path of pages from
+the root on a stack, with the position of the next key in every page. To start
+a range [a, b], the path to the first key not less than a is pushed, like the
+range query of the BST. Then the keys come one by one until one exceeds b. Each
+page is read once, so listing k keys takes O(h + k / t) page reads.
+
+*/
+
+
+/*
+
+7.7 Verification
+
+The invariants are checked page by page with an explicit stack, which holds the
+page id, the depth and the range of keys allowed by the separators above.
+
+*/
+
+var BTree = (function(){
+  // @param <array> keys - sorted keys of a page
+  // @return <number> index of the first key not less than k
+  function position(keys, k, cmp) {
+    var l = 0;
+    var u = keys.length;
+    while (l < u) {
+      let m = Math.floor((l + u) / 2);
+      if (cmp(keys[m], k) < 0) {
+        l = m + 1;
+      } else {
+        u = m;
+      }
+    }
+    return l;
+  }
+
+  // @param <number> t - minimum degree, at least 2
+  // @param <function> cmp - optional comparator
+  // @param <object> store - optional page store, MemoryPageStore by default
+  function BTree(t, cmp, store) {
+    if (!utils.isNumber(t) || t < 2 || t % 1 !== 0) {
+      throw new TypeError();
+    }
+
+    this.t = t;
+    this.cmp = utils.comparator(cmp);
+    this.store = store || new MemoryPageStore();
+    this.root = this.store.allocate().id;
+    this.size = 0;
+  }
+
+  // @return <object> { page, index } of the key, or null
+  BTree.prototype.search = function(k) {
+    var page = this.store.read(this.root);
+    while (true) {
+      let i = position(page.keys, k, this.cmp);
+      if (i < page.keys.length && this.cmp(page.keys[i], k) === 0) {
+        return { page: page, index: i };
+      }
+      if (page.leaf) {
+        return null;
+      }
+      page = this.store.read(page.children[i]);
+    }
+  };
+
+  BTree.prototype.has = function(k) {
+    return this.search(k) !== null;
+  };
+
+  BTree.prototype.get = function(k) {
+    var found = this.search(k);
+    return found ? found.page.values[found.index] : undefined;
+  };
+
+  BTree.prototype.min = function() {
+    var page = this.store.read(this.root);
+    while (!page.leaf) {
+      page = this.store.read(page.children[0]);
+    }
+    return page.keys.length ? page.keys[0] : null;
+  };
+
+  BTree.prototype.max = function() {
+    var page = this.store.read(this.root);
+    while (!page.leaf) {
+      page = this.store.read(page.children[page.children.length - 1]);
+    }
+    return page.keys.length ? page.keys[page.keys.length - 1] : null;
+  };
+
+  // split the full i-th child of the page x, which is not full
+  BTree.prototype.splitChild = function(x, i) {
+    var t = this.t;
+    var y = this.store.read(x.children[i]);
+    var z = this.store.allocate();
+
+    z.leaf = y.leaf;
+    z.keys = y.keys.splice(t);
+    z.values = y.values.splice(t);
+    if (!y.leaf) {
+      z.children = y.children.splice(t);
+    }
+    x.keys.splice(i, 0, y.keys.pop());
+    x.values.splice(i, 0, y.values.pop());
+    x.children.splice(i + 1, 0, z.id);
+
+    this.store.write(y);
+    this.store.write(z);
+    this.store.write(x);
+  };
+
+  BTree.prototype.insert = function(k, v) {
+    var found = this.search(k);
+    if (found) {
+      found.page.values[found.index] = v;
+      this.store.write(found.page);
+      return this;
+    }
+
+    var page = this.store.read(this.root);
+    if (page.keys.length === 2 * this.t - 1) {
+      let root = this.store.allocate();
+      root.leaf = false;
+      root.children = [page.id];
+      this.root = root.id;
+      this.splitChild(root, 0);
+      page = root;
+    }
+
+    while (!page.leaf) {
+      let i = position(page.keys, k, this.cmp);
+      let child = this.store.read(page.children[i]);
+      if (child.keys.length === 2 * this.t - 1) {
+        this.splitChild(page, i);
+        if (this.cmp(k, page.keys[i]) > 0) {
+          i = i + 1;
+        }
+        child = this.store.read(page.children[i]);
+      }
+      page = child;
+    }
+
+    var j = position(page.keys, k, this.cmp);
+    page.keys.splice(j, 0, k);
+    page.values.splice(j, 0, v);
+    this.store.write(page);
+    this.size = this.size + 1;
+    return this;
+  };
+
+  // merge the i-th key and the (i + 1)-th child of x into the i-th child
+  BTree.prototype.merge = function(x, i) {
+    var y = this.store.read(x.children[i]);
+    var z = this.store.read(x.children[i + 1]);
+
+    y.keys.push(x.keys[i]);
+    y.values.push(x.values[i]);
+    y.keys = y.keys.concat(z.keys);
+    y.values = y.values.concat(z.values);
+    y.children = y.children.concat(z.children);
+    x.keys.splice(i, 1);
+    x.values.splice(i, 1);
+    x.children.splice(i + 1, 1);
+
+    this.store.free(z.id);
+    this.store.write(y);
+    this.store.write(x);
+    return y;
+  };
+
+  // make sure the i-th child of x has at least t keys
+  // @return <object> the page which contains the keys of the child now
+  BTree.prototype.fill = function(x, i) {
+    var t = this.t;
+    var c = this.store.read(x.children[i]);
+    var sibling;
+
+    if (c.keys.length >= t) {
+      return c;
+    }
+    if (i > 0) {
+      sibling = this.store.read(x.children[i - 1]);
+      if (sibling.keys.length >= t) {
+        // borrow from the left sibling
+        c.keys.unshift(x.keys[i - 1]);
+        c.values.unshift(x.values[i - 1]);
+        x.keys[i - 1] = sibling.keys.pop();
+        x.values[i - 1] = sibling.values.pop();
+        if (!c.leaf) {
+          c.children.unshift(sibling.children.pop());
+        }
+        this.store.write(sibling);
+        this.store.write(c);
+        this.store.write(x);
+        return c;
+      }
+    }
+    if (i < x.keys.length) {
+      sibling = this.store.read(x.children[i + 1]);
+      if (sibling.keys.length >= t) {
+        // borrow from the right sibling
+        c.keys.push(x.keys[i]);
+        c.values.push(x.values[i]);
+        x.keys[i] = sibling.keys.shift();
+        x.values[i] = sibling.values.shift();
+        if (!c.leaf) {
+          c.children.push(sibling.children.shift());
+        }
+        this.store.write(sibling);
+        this.store.write(c);
+        this.store.write(x);
+        return c;
+      }
+      return this.merge(x, i);
+    }
+    return this.merge(x, i - 1);
+  };
+
+  // @return <boolean> true if the key was found and removed
+  BTree.prototype.remove = function(k) {
+    if (!this.has(k)) {
+      return false;
+    }
+
+    var t = this.t;
+    var x = this.store.read(this.root);
+    while (true) {
+      let i = position(x.keys, k, this.cmp);
+      if (i < x.keys.length && this.cmp(x.keys[i], k) === 0) {
+        if (x.leaf) {
+          x.keys.splice(i, 1);
+          x.values.splice(i, 1);
+          this.store.write(x);
+          break;
+        }
+        let y = this.store.read(x.children[i]);
+        let z = this.store.read(x.children[i + 1]);
+        if (y.keys.length >= t) {
+          // replace with the predecessor, and delete that from y
+          let p = y;
+          while (!p.leaf) {
+            p = this.store.read(p.children[p.children.length - 1]);
+          }
+          k = p.keys[p.keys.length - 1];
+          x.keys[i] = k;
+          x.values[i] = p.values[p.values.length - 1];
+          this.store.write(x);
+          x = y;
+        } else if (z.keys.length >= t) {
+          // replace with the successor, and delete that from z
+          let s = z;
+          while (!s.leaf) {
+            s = this.store.read(s.children[0]);
+          }
+          k = s.keys[0];
+          x.keys[i] = k;
+          x.values[i] = s.values[0];
+          this.store.write(x);
+          x = z;
+        } else {
+          x = this.merge(x, i);
+        }
+      } else {
+        x = this.fill(x, i);
+      }
+    }
+
+    var root = this.store.read(this.root);
+    if (!root.keys.length && !root.leaf) {
+      this.root = root.children[0];
+      this.store.free(root.id);
+    }
+    this.size = this.size - 1;
+    return true;
+  };
+
+  // @param <*> a - optional lower end of the range, inclusive
+  // @param <*> b - optional upper end of the range, inclusive
+  // @return <iterator> [key, value] pairs in [a, b] in increasing order
+  BTree.prototype.entries = function(a, b) {
+    var tree = this;
+    var stack = [];
+    var page = this.store.read(this.root);
+    var exhausted = false;
+
+    while (true) {
+      let i = (a === undefined) ? 0 : position(page.keys, a, this.cmp);
+      stack.push([page, i]);
+      if (page.leaf) {
+        break;
+      }
+      page = this.store.read(page.children[i]);
+    }
+
+    var it = {
+      next: function() {
+        while (!exhausted && stack.length) {
+          let frame = stack[stack.length - 1];
+          let page = frame[0];
+          let i = frame[1];
+          if (i >= page.keys.length) {
+            stack.pop();
+            continue;
+          }
+          frame[1] = i + 1;
+          if (!page.leaf) {
+            // the keys of the next child come after this key
+            let child = tree.store.read(page.children[i + 1]);
+            stack.push([child, 0]);
+            while (!child.leaf) {
+              child = tree.store.read(child.children[0]);
+              stack.push([child, 0]);
+            }
+          }
+          if (b !== undefined && tree.cmp(page.keys[i], b) > 0) {
+            break;
+          }
+          return { value: [page.keys[i], page.values[i]], done: false };
+        }
+        exhausted = true;
+        return { value: undefined, done: true };
+      }
+    };
+    it[Symbol.iterator] = function() {
+      return it;
+    };
+    return it;
+  };
+
+  // @return <iterator> keys in [a, b] in increasing order
+  BTree.prototype.range = function(a, b) {
+    var entries = this.entries(a, b);
+    var it = {
+      next: function() {
+        var item = entries.next();
+        return item.done ? item : { value: item.value[0], done: false };
+      }
+    };
+    it[Symbol.iterator] = function() {
+      return it;
+    };
+    return it;
+  };
+
+  BTree.prototype[Symbol.iterator] = function() {
+    return this.range();
+  };
+
+  BTree.prototype.toList = function() {
+    return Array.from(this.range());
+  };
+
+  // @return <boolean> true if all the invariants of the B-tree hold
+  BTree.prototype.verify = function() {
+    var t = this.t;
+    var cmp = this.cmp;
+    var leafDepth = -1;
+    var count = 0;
+    // id, depth, has lower bound, lower, has upper bound, upper
+    var stack = [[this.root, 0, false, null, false, null]];
+
+    while (stack.length) {
+      let item = stack.pop();
+      let page = this.store.read(item[0]);
+      let n = page.keys.length;
+      let isRoot = item[0] === this.root;
+
+      if (n > 2 * t - 1 || (!isRoot && n < t - 1) || (isRoot && !page.leaf && n < 1)) {
+        return false;
+      }
+      if (page.values.length !== n) {
+        return false;
+      }
+      for (let i = 0; i < n; i++) {
+        if (i > 0 && cmp(page.keys[i - 1], page.keys[i]) >= 0) {
+          return false;
+        }
+        if ((item[2] && cmp(page.keys[i], item[3]) <= 0) ||
+            (item[4] && cmp(page.keys[i], item[5]) >= 0)) {
+          return false;
+        }
+      }
+      count = count + n;
+
+      if (page.leaf) {
+        if (page.children.length) {
+          return false;
+        }
+        if (leafDepth < 0) {
+          leafDepth = item[1];
+        } else if (leafDepth !== item[1]) {
+          return false;
+        }
+        continue;
+      }
+      if (page.children.length !== n + 1) {
+        return false;
+      }
+      for (let i = 0; i <= n; i++) {
+        stack.push([
+          page.children[i], item[1] + 1,
+          i > 0 || item[2], i > 0 ? page.keys[i - 1] : item[3],
+          i < n || item[4], i < n ? page.keys[i] : item[5]
+        ]);
+      }
+    }
+    return count === this.size;
+  };
+
+  return BTree;
+})();
+
+
+/*
+
+Bibliography
+
+[1] Thomas H. Cormen, Charles E. Leiserson, Ronald L. Rivest and Clifford
+    Stein. “Introduction to Algorithms, Second Edition”. ISBN:0262032937.
+    The MIT Press. 2001
+
+*/
+
+
+
+module.exports = {
+  BTree: BTree,
+  MemoryPageStore: MemoryPageStore
+};
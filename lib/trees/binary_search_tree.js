@@ -138,32 +138,54 @@ provided as well.
 
 In this section, we’ll ignore the satellite data for the sake of simplifying
 the illustrations. Based on this layout, the node of BST can be defined in a
-procedural language.
+procedural language. The node still has an optional value field, so that the
+tree can be used as a map from keys to values (see TreeMap below).
+
+The keys are compared by a comparator function cmp(a, b), which returns a
+negative number if a < b, zero if a = b, and a positive number if a > b. Every
+operation below accepts the comparator as its last, optional argument. When it
+is omitted, the keys are ordered as numbers (see utils.compare), so strings,
+dates or composite keys like [lastName, firstName] only need a suitable
+comparator, for example:
+
+  function byName(a, b) {
+    return a[0].localeCompare(b[0]) || a[1].localeCompare(b[1]);
+  }
+
+The same comparator must be passed to every operation on the same tree.
 
 */
 
 var Node = (function(){
-  function Node(key, left, right) {
-    if (!utils.isNumber(key)) {
+  function Node(key, left, right, value) {
+    if (key === undefined) {
       throw new TypeError();
     }
 
     this.key = key;
+    this.value = value;
     this.left = left ? left : null;
     this.right = right ? right : null;
     this.parent = null;
   }
 
+  // clears the node and its subtrees, with an explicit stack instead of
+  // recursion, so a degenerate tree doesn't overflow the call stack
   Node.prototype.delete = function() {
-    if (this.left) {
-      this.left.delete();
-    }
-    if (this.right) {
-      this.right.delete();
+    var stack = [this];
+    while (stack.length) {
+      var x = stack.pop();
+      if (x.left) {
+        stack.push(x.left);
+      }
+      if (x.right) {
+        stack.push(x.right);
+      }
+      x.key = undefined;
+      x.value = undefined;
+      x.left = undefined;
+      x.right = undefined;
     }
-    this.key = undefined;
-    this.left = undefined;
-    this.right = undefined;
   };
 
   return Node;
@@ -209,16 +231,20 @@ free of recursion.
 */
 
 // @param <T> T is the root of current tree
-// @param <number> k is a new key
+// @param <*> k is a new key
+// @param <function> cmp - optional comparator
+// @param <*> value - optional satellite data stored along with k
 // @return <T> root of new Tree
-function insert(T, k) {
+function insert(T, k, cmp, value) {
+  cmp = utils.comparator(cmp);
+
   var root = T;
-  var x = new Node(k);
+  var x = new Node(k, null, null, value);
   var parent = null;
 
-  while (T !== null) {
+  while (T) {
     parent = T;
-    if (k < T.key) {
+    if (cmp(k, T.key) < 0) {
       T = T.left;
     } else {
       T = T.right;
@@ -228,7 +254,7 @@ function insert(T, k) {
   if (parent === null) {
     // tree T is empty
     return x;
-  } else if (k < parent.key) {
+  } else if (cmp(k, parent.key) < 0) {
     parent.left = x;
   } else {
     parent.right = x;
@@ -312,6 +338,161 @@ function inOrderWalk(T, fn) {
 The function takes a parameter fn, it can be a real function, or a function
 object, this program will apply f to the node by in-order tree walk.
 
+The other walks are given below without recursion, so a degenerated tree (for
+example one built from sorted input) can’t overflow the call stack. The pre-order
+walk keeps the right children still to be visited on a stack; the post-order walk
+is the pre-order walk with the children swapped (key, right, left), reversed;
+the level-order (breadth first) walk visits the nodes level by level, using a
+queue instead of a stack. For the BST in figure 1.2 it yields
+4, 3, 8, 1, 7, 16, 2, 10, 9, 14. All of them take O(n) time.
+
+*/
+
+function preOrderWalk(T, fn) {
+  if (!utils.isFunction(fn)) {
+    throw new TypeError();
+  }
+
+  var stack = T ? [T] : [];
+  while (stack.length) {
+    var x = stack.pop();
+    fn(x.key);
+    if (x.right) {
+      stack.push(x.right);
+    }
+    if (x.left) {
+      stack.push(x.left);
+    }
+  }
+}
+
+function postOrderWalk(T, fn) {
+  if (!utils.isFunction(fn)) {
+    throw new TypeError();
+  }
+
+  var stack = T ? [T] : [];
+  var output = [];
+  while (stack.length) {
+    var x = stack.pop();
+    output.push(x);
+    if (x.left) {
+      stack.push(x.left);
+    }
+    if (x.right) {
+      stack.push(x.right);
+    }
+  }
+  while (output.length) {
+    fn(output.pop().key);
+  }
+}
+
+function levelOrderWalk(T, fn) {
+  if (!utils.isFunction(fn)) {
+    throw new TypeError();
+  }
+
+  // the queue is an array with a moving head, so dequeue is O(1)
+  var queue = T ? [T] : [];
+  var head = 0;
+  while (head < queue.length) {
+    var x = queue[head];
+    head = head + 1;
+    fn(x.key);
+    if (x.left) {
+      queue.push(x.left);
+    }
+    if (x.right) {
+      queue.push(x.right);
+    }
+  }
+}
+
+
+/*
+
+The map function defined above creates a new tree of the same shape, with the
+keys transformed by f. The result is a BST only if f preserves the order of the
+keys, otherwise it is a plain binary tree.
+
+Folding generalizes this. fold(f, z, T) replaces every empty child with z, and
+every node with f applied to the folded children and the key:
+
+  fold(f, z, T) = {                                         z : T = φ
+                  { f(fold(f, z, Tl), k, fold(f, z, Tr)) : otherwise
+
+For example size(T) = fold((l, k, r) ↦ l + 1 + r, 0, T), and
+toList(T) = fold((l, k, r) ↦ l ∪ {k} ∪ r, φ, T). Even map is a fold,
+map(f, T) = fold((l, k, r) ↦ node(l, f(k), r), φ, T).
+
+foldTree below visits the nodes in post-order without recursion, so the
+children are always folded before their parent. mapTree is defined on top of it,
+and it also copies the satellite data and sets the parent pointers.
+
+*/
+
+// @param <function> f - f(left, key, right, node) combines the folded children
+// @param <*> z - the result for the empty tree
+// @param <T> T - root of the tree
+function foldTree(f, z, T) {
+  if (!utils.isFunction(f)) {
+    throw new TypeError();
+  }
+
+  if (!T) {
+    return z;
+  }
+
+  // key, right, left order; read backwards it is the post-order
+  var nodes = [];
+  var stack = [T];
+  while (stack.length) {
+    var x = stack.pop();
+    nodes.push(x);
+    if (x.left) {
+      stack.push(x.left);
+    }
+    if (x.right) {
+      stack.push(x.right);
+    }
+  }
+
+  var folded = new Map();
+  for (var i = nodes.length - 1; i >= 0; i--) {
+    let x = nodes[i];
+    let l = x.left ? folded.get(x.left) : z;
+    let r = x.right ? folded.get(x.right) : z;
+    folded.delete(x.left);
+    folded.delete(x.right);
+    folded.set(x, f(l, x.key, r, x));
+  }
+  return folded.get(T);
+}
+
+// @param <function> f - transforms a key
+// @param <T> T - root of the tree
+// @return <T> root of the new tree with the same shape
+function mapTree(f, T) {
+  if (!utils.isFunction(f)) {
+    throw new TypeError();
+  }
+
+  return foldTree(function(l, k, r, x) {
+    var y = new Node(f(k), l, r, x.value);
+    if (l) {
+      l.parent = y;
+    }
+    if (r) {
+      r.parent = y;
+    }
+    return y;
+  }, null, T);
+}
+
+
+/*
+
 We can simplified this algorithm one more step to define a function which
 turns a BST to a sorted list by in-order traversing.
 
@@ -320,17 +501,24 @@ turns a BST to a sorted list by in-order traversing.
               { toList(Tl) ∪ {k} ∪ toList(Tr) : otherwise
 
 
-Below is the program based on this definition.
+Translating this definition literally, the concatenation copies the partial
+lists at every level, which takes O(n^2) time for a skewed tree. The program
+below appends the keys to one list while it walks the tree with the in-order
+iterator (see Exercise 1.2), so it takes O(n) time.
 */
 
 
 // @param <T> Tree
 // @return <array> ordered list
 function toList(T) {
-  if (!T) {
-    return [];
+  var list = [];
+  var it = new InOrderIterator(T);
+  var item = it.next();
+  while (!item.done) {
+    list.push(item.value);
+    item = it.next();
   }
-  return toList(T.left).concat(T.key, toList(T.right));
+  return list;
 }
 
 
@@ -361,6 +549,11 @@ also be defined recursively as the following.
   fromList(T) = {                                       φ : T = φ
                 { insert(fromList({x2, x3, ..., xn}), x1) : otherwise
 
+This recursion is as deep as the list is long, and removing the head of an
+array takes O(n) time, so the function below loops over the list from the last
+element to the first instead. It inserts the keys in the same order as the
+recursive definition, and builds the same tree, without modifying X.
+
 
 We’ll intense use folding function as well as the function composition and
 partial evaluation in the future, please refer to appendix of this book or
@@ -373,17 +566,18 @@ Curry
 */
 
 // @param <array> X
+// @param <function> cmp - optional comparator
 // @return <T> Tree
-function fromList(X) {
+function fromList(X, cmp) {
   if (!utils.isArray(X)) {
     throw new TypeError();
   }
 
-  if (!X.length) {
-    return null;
+  var T = null;
+  for (var i = X.length - 1; i >= 0; i--) {
+    T = insert(T, X[i], cmp);
   }
-  var first = X.shift();
-  return insert(fromList(X), first);
+  return T;
 }
 
 
@@ -445,17 +639,20 @@ result. This algorithm is simple and straightforward.
 
 */
 
-function lookup(T, x) {
+function lookup(T, x, cmp) {
+  cmp = utils.comparator(cmp);
+
   if (!T) {
     return null;
   }
-  if (T.key === x) {
+  var c = cmp(x, T.key);
+  if (c === 0) {
     return T;
   }
-  if (x < T.key) {
-    return lookup(T.left, x);
+  if (c < 0) {
+    return lookup(T.left, x, cmp);
   } else {
-    return lookup(T.right, x);
+    return lookup(T.right, x, cmp);
   }
 }
 
@@ -474,9 +671,12 @@ manner.
 
 */
 
-function search(T, x) {
-  while ((T) && (T.key !== x)) {
-    if (x < T.key) {
+function search(T, x, cmp) {
+  cmp = utils.comparator(cmp);
+
+  var c;
+  while ((T) && ((c = cmp(x, T.key)) !== 0)) {
+    if (c < 0) {
       T = T.left;
     } else {
       T = T.right;
@@ -529,6 +729,22 @@ function max(T) {
   return max(T.right);
 }
 
+// The same walks, but they return the node itself instead of the key, so the
+// satellite data, the parent and the children can be reached as well.
+function minNode(T) {
+  while (T && T.left) {
+    T = T.left;
+  }
+  return T;
+}
+
+function maxNode(T) {
+  while (T && T.right) {
+    T = T.right;
+  }
+  return T;
+}
+
 
 /*
 
@@ -571,9 +787,10 @@ Based on this description, the algorithm can be given as the following.
 */
 
 // @param <Node> x
+// @return <Node> successor of x, or null
 function succ(x) {
   if (x.right) {
-    return min(x.right);
+    return minNode(x.right);
   }
   var p = x.parent;
   while (p && x === p.right) {
@@ -592,9 +809,10 @@ is quite similar to the successor algorithm, they are symmetrical to each other.
 */
 
 // @param <Node> x
+// @return <Node> predecessor of x, or null
 function pred(x) {
   if (x.left) {
-    return max(x.left);
+    return maxNode(x.left);
   }
   var p = x.parent;
   while (p && x === p.left) {
@@ -623,6 +841,218 @@ Exercise 1.2
 */
 
 
+/*
+
+Iterating with succ from the minimum visits every edge of the tree at most twice,
+so walking all n elements takes O(n) time, although a single step may take
+O(h). The iterator below gives the same amortized bound without parent pointers.
+It keeps the path from the root to the next node on an explicit stack, and only
+descends when the next element is requested, so the caller can stop early
+without visiting the rest of the tree. The stack holds at most h nodes.
+
+The tree must not be modified while an iterator is walking it.
+
+*/
+
+var InOrderIterator = (function(){
+  // @param <T> T - root of the tree
+  // @param <boolean> reverse - walk in decreasing order
+  // @param <function> fn - optional, maps the visited node to the produced
+  //                        value, the key by default
+  function InOrderIterator(T, reverse, fn) {
+    if (fn !== undefined && !utils.isFunction(fn)) {
+      throw new TypeError();
+    }
+
+    this.stack = [];
+    this.reverse = !!reverse;
+    this.fn = fn;
+    this.descend(T);
+  }
+
+  // push x and its left (right, in reverse) spine onto the stack
+  InOrderIterator.prototype.descend = function(x) {
+    while (x) {
+      this.stack.push(x);
+      x = this.reverse ? x.right : x.left;
+    }
+  };
+
+  InOrderIterator.prototype.next = function() {
+    if (!this.stack.length) {
+      return { value: undefined, done: true };
+    }
+    var x = this.stack.pop();
+    this.descend(this.reverse ? x.left : x.right);
+    return { value: this.fn ? this.fn(x) : x.key, done: false };
+  };
+
+  InOrderIterator.prototype[Symbol.iterator] = function() {
+    return this;
+  };
+
+  return InOrderIterator;
+})();
+
+
+/*
+
+The range [a, b] can be traversed in the same manner. lowerBound(T, a) is the
+first key not less than a, upperBound(T, b) is the first key greater than b.
+Both follow a single path from the root, remembering the last node where the
+search turned left:
+
+                      {                      φ : T = φ
+  lowerBound(T, x) =  { lowerBound(Tr, x)      : k < x
+                      { lowerBound(Tl, x) or T : otherwise
+
+Where ‘lowerBound(Tl, x) or T’ is T when the result in the left child is empty.
+floor and ceiling are the greatest key not greater than x and the least key not
+less than x respectively, so ceiling is the same as lowerBound. All of them
+return keys, or null if there is no such key. lowerBoundNode and upperBoundNode
+return the nodes instead, like search, so the satellite data can be reached.
+
+To walk the range, the iterator stack is filled with the nodes on the path to
+lowerBoundNode(T, a) where the search turned left; these are exactly the nodes
+the in-order walk would still visit. Then the keys are produced until one
+exceeds b.
+Locating the start takes O(h) time, and producing k keys takes O(k) amortized
+time, so the whole range query is bound to O(h + k).
+
+*/
+
+// @param <T> T - root of the tree
+// @param <*> x
+// @param <function> cmp - optional comparator
+// @return <Node> the first node whose key is not less than x, or null
+function lowerBoundNode(T, x, cmp) {
+  cmp = utils.comparator(cmp);
+
+  var bound = null;
+  while (T) {
+    if (cmp(T.key, x) < 0) {
+      T = T.right;
+    } else {
+      bound = T;
+      T = T.left;
+    }
+  }
+  return bound;
+}
+
+// @return <Node> the first node whose key is greater than x, or null
+function upperBoundNode(T, x, cmp) {
+  cmp = utils.comparator(cmp);
+
+  var bound = null;
+  while (T) {
+    if (cmp(T.key, x) <= 0) {
+      T = T.right;
+    } else {
+      bound = T;
+      T = T.left;
+    }
+  }
+  return bound;
+}
+
+// @return the first key not less than x, or null
+function lowerBound(T, x, cmp) {
+  var bound = lowerBoundNode(T, x, cmp);
+  return bound ? bound.key : null;
+}
+
+// @return the first key greater than x, or null
+function upperBound(T, x, cmp) {
+  var bound = upperBoundNode(T, x, cmp);
+  return bound ? bound.key : null;
+}
+
+// @return the greatest key not greater than x, or null
+function floor(T, x, cmp) {
+  cmp = utils.comparator(cmp);
+
+  var bound = null;
+  while (T) {
+    if (cmp(T.key, x) > 0) {
+      T = T.left;
+    } else {
+      bound = T;
+      T = T.right;
+    }
+  }
+  return bound ? bound.key : null;
+}
+
+// @return the least key not less than x, or null
+function ceiling(T, x, cmp) {
+  return lowerBound(T, x, cmp);
+}
+
+var RangeIterator = (function(){
+  // @param <T> T - root of the tree
+  // @param <*> a - lower end of the range, inclusive
+  // @param <*> b - upper end of the range, inclusive
+  // @param <function> cmp - optional comparator
+  function RangeIterator(T, a, b, cmp) {
+    this.cmp = utils.comparator(cmp);
+    this.b = b;
+    this.it = new InOrderIterator(null);
+    while (T) {
+      if (this.cmp(T.key, a) < 0) {
+        T = T.right;
+      } else {
+        this.it.stack.push(T);
+        T = T.left;
+      }
+    }
+  }
+
+  RangeIterator.prototype.next = function() {
+    var item = this.it.next();
+    if (!item.done && this.cmp(item.value, this.b) > 0) {
+      this.it.stack = [];
+      return { value: undefined, done: true };
+    }
+    return item;
+  };
+
+  RangeIterator.prototype[Symbol.iterator] = function() {
+    return this;
+  };
+
+  return RangeIterator;
+})();
+
+// @return <iterator> keys in [a, b] in increasing order
+function range(T, a, b, cmp) {
+  return new RangeIterator(T, a, b, cmp);
+}
+
+// Visitor form of range: apply fn to every key in [a, b] in increasing order.
+function rangeWalk(T, a, b, fn, cmp) {
+  if (!utils.isFunction(fn)) {
+    throw new TypeError();
+  }
+
+  var it = new RangeIterator(T, a, b, cmp);
+  var item = it.next();
+  while (!item.done) {
+    fn(item.value);
+    item = it.next();
+  }
+}
+
+// @return <number> number of keys in [a, b]
+function countInRange(T, a, b, cmp) {
+  var n = 0;
+  rangeWalk(T, a, b, function() {
+    n = n + 1;
+  }, cmp);
+  return n;
+}
+
+
 /*
 
 1.6 Deletion
@@ -675,25 +1105,30 @@ Translating the function to JavaScript the below program.
 */
 
 // @param <Tree> T - root of the tree
-// @param <Number> x - value to delete
+// @param <*> x - value to delete
+// @param <function> cmp - optional comparator
 // @return <Tree> T - root of the new tree
-function deleteValue(T, x) {
+function deleteValue(T, x, cmp) {
+  cmp = utils.comparator(cmp);
+
   if (!T) {
     return null;
   }
-  if (x < T.key) {
-    return new Node(T.key, deleteValue(T.left, x), T.right);
+  var c = cmp(x, T.key);
+  if (c < 0) {
+    return new Node(T.key, deleteValue(T.left, x, cmp), T.right, T.value);
   }
-  if (x > T.key) {
-    return new Node(T.key, T.left, deleteValue(T.right, x));
+  if (c > 0) {
+    return new Node(T.key, T.left, deleteValue(T.right, x, cmp), T.value);
   }
-  if ((x === T.key) && !T.left) {
+  if (!T.left) {
     return T.right;
   }
-  if ((x === T.key) && !T.right) {
+  if (!T.right) {
     return T.left;
   }
-  return new Node(min(T.right), T.left, deleteValue(T.right, min(T.right)));
+  var y = minNode(T.right);
+  return new Node(y.key, T.left, deleteValue(T.right, y.key, cmp), y.value);
 }
 
 
@@ -729,9 +1164,10 @@ function deleteNode(T, x) {
     x = x.left;
   } else {
     // both children are non-NIL
-    var y = min(x.right);
+    var y = minNode(x.right);
     x.key = y.key;
     // Copy other satellite data from y to x
+    x.value = y.value;
     if (y.parent !== x) {
       // y hasn’t left sub tree
       y.parent.left = y.right;
@@ -739,6 +1175,9 @@ function deleteNode(T, x) {
       // y is the root of right child of x
       x.right = y.right;
     }
+    if (y.right) {
+      y.right.parent = y.parent;
+    }
     return root;
   }
 
@@ -783,6 +1222,202 @@ tree of height h.
 */
 
 
+/*
+
+With the satellite data in place, a BST can serve as an ordered map. Setting a
+value first searches the key; if it is found, the value is overwritten, otherwise
+a new node is inserted. So unlike insert, the map never holds duplicated keys.
+Getting and deleting are plain search and deleteNode calls. All operations take
+O(h) time.
+
+*/
+
+var TreeMap = (function(){
+  // @param <function> cmp - optional comparator
+  function TreeMap(cmp) {
+    this.cmp = utils.comparator(cmp);
+    this.root = null;
+    this.size = 0;
+  }
+
+  TreeMap.prototype.get = function(k) {
+    var x = search(this.root, k, this.cmp);
+    return x ? x.value : undefined;
+  };
+
+  TreeMap.prototype.set = function(k, v) {
+    var x = search(this.root, k, this.cmp);
+    if (x) {
+      x.value = v;
+    } else {
+      this.root = insert(this.root, k, this.cmp, v);
+      this.size = this.size + 1;
+    }
+    return this;
+  };
+
+  TreeMap.prototype.has = function(k) {
+    return search(this.root, k, this.cmp) !== null;
+  };
+
+  // @return <boolean> true if the key was found and removed
+  TreeMap.prototype.delete = function(k) {
+    var x = search(this.root, k, this.cmp);
+    if (!x) {
+      return false;
+    }
+    this.root = deleteNode(this.root, x);
+    this.size = this.size - 1;
+    return true;
+  };
+
+  // @return <iterator> [key, value] pairs in increasing order of the keys
+  TreeMap.prototype.entries = function() {
+    return new InOrderIterator(this.root, false, function(x) {
+      return [x.key, x.value];
+    });
+  };
+
+  TreeMap.prototype.keys = function() {
+    return new InOrderIterator(this.root);
+  };
+
+  TreeMap.prototype.values = function() {
+    return new InOrderIterator(this.root, false, function(x) {
+      return x.value;
+    });
+  };
+
+  TreeMap.prototype[Symbol.iterator] = TreeMap.prototype.entries;
+
+  return TreeMap;
+})();
+
+
+/*
+
+Passing the root back and forth is error prone: insert, deleteNode and
+deleteValue all may return a new root, and the caller must not lose it. The
+BinarySearchTree object below keeps the root, the comparator and the number of
+the keys together, and wraps the functions defined so far. Like insert, it
+stores duplicated keys as separate nodes.
+
+*/
+
+var BinarySearchTree = (function(){
+  // @param <function> cmp - optional comparator
+  function BinarySearchTree(cmp) {
+    this.cmp = utils.comparator(cmp);
+    this.root = null;
+    this.size = 0;
+  }
+
+  BinarySearchTree.prototype.insert = function(k) {
+    this.root = insert(this.root, k, this.cmp);
+    this.size = this.size + 1;
+    return this;
+  };
+
+  // @return <boolean> true if the key was found and removed
+  BinarySearchTree.prototype.remove = function(k) {
+    var x = search(this.root, k, this.cmp);
+    if (!x) {
+      return false;
+    }
+    this.root = deleteNode(this.root, x);
+    this.size = this.size - 1;
+    return true;
+  };
+
+  BinarySearchTree.prototype.has = function(k) {
+    return search(this.root, k, this.cmp) !== null;
+  };
+
+  // @return the minimum key, or null if the tree is empty
+  BinarySearchTree.prototype.min = function() {
+    var x = minNode(this.root);
+    return x ? x.key : null;
+  };
+
+  // @return the maximum key, or null if the tree is empty
+  BinarySearchTree.prototype.max = function() {
+    var x = maxNode(this.root);
+    return x ? x.key : null;
+  };
+
+  // @return the smallest key greater than k, or null if k isn’t in the tree
+  //         or it is the maximum
+  BinarySearchTree.prototype.succ = function(k) {
+    var x = search(this.root, k, this.cmp);
+    while (x && this.cmp(x.key, k) === 0) {
+      x = succ(x);
+    }
+    return x ? x.key : null;
+  };
+
+  // @return the greatest key less than k, or null if k isn’t in the tree
+  //         or it is the minimum
+  BinarySearchTree.prototype.pred = function(k) {
+    var x = search(this.root, k, this.cmp);
+    while (x && this.cmp(x.key, k) === 0) {
+      x = pred(x);
+    }
+    return x ? x.key : null;
+  };
+
+  BinarySearchTree.prototype.toArray = function() {
+    return toList(this.root);
+  };
+
+  // @return <iterator> keys in increasing order
+  BinarySearchTree.prototype.keys = function() {
+    return new InOrderIterator(this.root);
+  };
+
+  // @return <iterator> keys in decreasing order
+  BinarySearchTree.prototype.reverse = function() {
+    return new InOrderIterator(this.root, true);
+  };
+
+  BinarySearchTree.prototype[Symbol.iterator] = BinarySearchTree.prototype.keys;
+
+  BinarySearchTree.prototype.lowerBound = function(k) {
+    return lowerBound(this.root, k, this.cmp);
+  };
+
+  BinarySearchTree.prototype.upperBound = function(k) {
+    return upperBound(this.root, k, this.cmp);
+  };
+
+  BinarySearchTree.prototype.floor = function(k) {
+    return floor(this.root, k, this.cmp);
+  };
+
+  BinarySearchTree.prototype.ceiling = function(k) {
+    return ceiling(this.root, k, this.cmp);
+  };
+
+  // @return <iterator> keys in [a, b] in increasing order
+  BinarySearchTree.prototype.range = function(a, b) {
+    return range(this.root, a, b, this.cmp);
+  };
+
+  BinarySearchTree.prototype.countInRange = function(a, b) {
+    return countInRange(this.root, a, b, this.cmp);
+  };
+
+  BinarySearchTree.prototype.clear = function() {
+    if (this.root) {
+      this.root.delete();
+    }
+    this.root = null;
+    this.size = 0;
+  };
+
+  return BinarySearchTree;
+})();
+
+
 /*
 
 Exercise 1.3
@@ -821,6 +1456,113 @@ Exercise 1.4
 */
 
 
+/*
+
+The elements are shuffled with the Fisher-Yates (Knuth) method: going from the
+last position down, swap every element with a randomly chosen one at or before
+it. Every permutation is equally likely, and it takes O(n) time. The expected
+height of the tree built from a random permutation is O(lg n), so building it
+takes O(n lg n) expected time, even if the input is sorted.
+
+The random numbers come from a seeded generator, so the same seed always builds
+the same tree. Different from fromList, the input list isn’t modified, and the
+elements are inserted with a loop.
+
+*/
+
+// @param <array> X
+// @param <number> seed - optional seed of the random generator
+// @param <function> cmp - optional comparator
+// @return <T> Tree
+function fromListRandom(X, seed, cmp) {
+  if (!utils.isArray(X)) {
+    throw new TypeError();
+  }
+  if (seed === undefined) {
+    seed = Math.floor(Math.random() * 4294967296);
+  }
+
+  var rand = utils.random(seed);
+  var Y = X.slice();
+  var T = null;
+
+  for (var i = Y.length - 1; i > 0; i--) {
+    let j = Math.floor(rand() * (i + 1));
+    let tmp = Y[i];
+    Y[i] = Y[j];
+    Y[j] = tmp;
+  }
+  for (i = 0; i < Y.length; i++) {
+    T = insert(T, Y[i], cmp);
+  }
+  return T;
+}
+
+
+/*
+
+Shuffling only helps if all the elements are known in advance. The treap (see
+treap.js) keeps the tree random while the elements come one by one. It, like the
+balanced trees in the following chapters, restructures the tree with rotations.
+A rotation changes the shape of the tree locally, in O(1) time, while it keeps
+the in-order of the keys:
+
+          (x)                         (y)
+         ↙   ↘      rotateLeft       ↙   ↘
+       a     (y)       →           (x)    c
+            ↙   ↘      ←          ↙   ↘
+           b     c  rotateRight  a     b
+
+Both functions take the root of the tree and the node to rotate around, set the
+parent pointers, and return the (possibly new) root of the tree.
+
+*/
+
+// @param <T> T - root of the tree
+// @param <Node> x - node whose right child is raised
+// @return <T> root of the tree
+function rotateLeft(T, x) {
+  var y = x.right;
+  x.right = y.left;
+  if (y.left) {
+    y.left.parent = x;
+  }
+  y.parent = x.parent;
+  if (!x.parent) {
+    T = y;
+  } else if (x === x.parent.left) {
+    x.parent.left = y;
+  } else {
+    x.parent.right = y;
+  }
+  y.left = x;
+  x.parent = y;
+  return T;
+}
+
+// @param <T> T - root of the tree
+// @param <Node> y - node whose left child is raised
+// @return <T> root of the tree
+function rotateRight(T, y) {
+  var x = y.left;
+  y.left = x.right;
+  if (x.right) {
+    x.right.parent = y;
+  }
+  x.parent = y.parent;
+  if (!y.parent) {
+    T = x;
+  } else if (y === y.parent.right) {
+    y.parent.right = x;
+  } else {
+    y.parent.left = x;
+  }
+  x.right = y;
+  y.parent = x;
+  return T;
+}
+
+
 /*
 
 Bibliography
@@ -858,8 +1600,16 @@ module.exports = {
   Node: Node,
   insert: insert,
   inOrderWalk: inOrderWalk,
+  preOrderWalk: preOrderWalk,
+  postOrderWalk: postOrderWalk,
+  levelOrderWalk: levelOrderWalk,
+  foldTree: foldTree,
+  mapTree: mapTree,
   toList: toList,
   fromList: fromList,
+  fromListRandom: fromListRandom,
+  rotateLeft: rotateLeft,
+  rotateRight: rotateRight,
   lookup: lookup,
   search: search,
   min: min,
@@ -867,7 +1617,19 @@ module.exports = {
   succ: succ,
   pred: pred,
   deleteValue: deleteValue,
-  deleteNode: deleteNode
+  deleteNode: deleteNode,
+  TreeMap: TreeMap,
+  BinarySearchTree: BinarySearchTree,
+  InOrderIterator: InOrderIterator,
+  lowerBound: lowerBound,
+  upperBound: upperBound,
+  lowerBoundNode: lowerBoundNode,
+  upperBoundNode: upperBoundNode,
+  floor: floor,
+  ceiling: ceiling,
+  range: range,
+  rangeWalk: rangeWalk,
+  countInRange: countInRange
 };
 
 
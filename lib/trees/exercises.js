@@ -2,6 +2,9 @@
 
 'use strict';
 
+var utils = require('../utils/utils.js');
+var bst = require('./binary_search_tree.js');
+
 
 /*
 
@@ -26,6 +29,257 @@ Exercise 1.1
 */
 
 
+/*
+
+The first key of the pre-order result is the root. Finding it in the in-order
+result splits the latter into the in-order results of the left and the right
+child, and their lengths split the rest of the pre-order result the same way.
+For the example above the root is 1, the left child has the keys {4, 2}, the
+right child has {5, 3, 6}, and so on, which gives the post-order result
+4, 2, 5, 6, 3, 1.
+
+The post-order result works the same way, except that its last key is the root.
+
+The keys must be distinct, otherwise the position of the root in the in-order
+result is ambiguous. Positions of the keys are kept in a map, so locating the
+root is O(1), and the whole tree is rebuilt in O(n) time. The pending subtrees
+are kept on an explicit stack instead of recursion, so degenerated trees of any
+height can be rebuilt.
+
+A map finds a key by identity, which is enough for numbers and strings, but two
+equal composite keys (arrays read back from JSON, for example) are distinct
+objects. When a comparator is given, the in-order keys are sorted with it
+instead, and a key is located by binary search in O(lg n) time, so the tree is
+rebuilt in O(n lg n) time. The tree itself doesn’t have to be a BST: the
+comparator only tells which keys are equal.
+
+*/
+
+function ambiguous(k) {
+  return new Error('Ambiguous traversal result, key ' + k +
+    ' appears more than once');
+}
+
+// @param <array> inorder - in-order result
+// @param <function> cmp - optional comparator
+// @return <function> the index of a key in the in-order result, or undefined
+function positions(inorder, cmp) {
+  var i;
+
+  if (!cmp) {
+    let position = new Map();
+    for (i = 0; i < inorder.length; i++) {
+      if (position.has(inorder[i])) {
+        throw ambiguous(inorder[i]);
+      }
+      position.set(inorder[i], i);
+    }
+    return function(k) {
+      return position.get(k);
+    };
+  }
+
+  var order = inorder.map(function(k, index) {
+    return index;
+  }).sort(function(a, b) {
+    return cmp(inorder[a], inorder[b]);
+  });
+  var keys = order.map(function(index) {
+    return inorder[index];
+  });
+  for (i = 1; i < keys.length; i++) {
+    if (cmp(keys[i - 1], keys[i]) === 0) {
+      throw ambiguous(keys[i]);
+    }
+  }
+  // binary search for k in the sorted keys
+  return function(k) {
+    var l = 0;
+    var u = keys.length;
+    while (l < u) {
+      let m = l + Math.floor((u - l) / 2);
+      let c = cmp(keys[m], k);
+      if (c === 0) {
+        return order[m];
+      }
+      if (c < 0) {
+        l = m + 1;
+      } else {
+        u = m;
+      }
+    }
+    return undefined;
+  };
+}
+
+// @param <array> seq - pre-order or post-order result
+// @param <array> inorder - in-order result
+// @param <boolean> rootLast - the root is the last key of seq (post-order)
+// @param <function> cmp - optional comparator, to match equal composite keys
+// @return <Node> root of the rebuilt tree
+function fromTraversal(seq, inorder, rootLast, cmp) {
+  if (!utils.isArray(seq) || !utils.isArray(inorder)) {
+    throw new TypeError();
+  }
+  if (cmp !== undefined && !utils.isFunction(cmp)) {
+    throw new TypeError();
+  }
+  if (seq.length !== inorder.length) {
+    throw new Error('Traversal results have different lengths: ' +
+      seq.length + ' and ' + inorder.length);
+  }
+
+  var position = positions(inorder, cmp);
+
+  var root = null;
+  // a pending subtree: offset in seq, offset in inorder, size, parent, side
+  var stack = seq.length ? [[0, 0, seq.length, null, null]] : [];
+  while (stack.length) {
+    let task = stack.pop();
+    let s = task[0];
+    let i = task[1];
+    let n = task[2];
+    let k = rootLast ? seq[s + n - 1] : seq[s];
+    let m = position(k);
+
+    if (m === undefined || m < i || m >= i + n) {
+      throw new Error('Inconsistent traversal results, key ' + k +
+        ' is not found where expected in the in-order result');
+    }
+
+    let x = new bst.Node(k);
+    x.parent = task[3];
+    if (!x.parent) {
+      root = x;
+    } else {
+      x.parent[task[4]] = x;
+    }
+
+    // sizes of the left and the right child
+    let nl = m - i;
+    let nr = n - nl - 1;
+    let sl = rootLast ? s : s + 1;
+    if (nl) {
+      stack.push([sl, i, nl, x, 'left']);
+    }
+    if (nr) {
+      stack.push([sl + nl, m + 1, nr, x, 'right']);
+    }
+  }
+  return root;
+}
+
+// @param <array> pre - pre-order result
+// @param <array> inorder - in-order result
+// @param <function> cmp - optional comparator
+// @return <Node> root of the rebuilt tree
+function fromPreIn(pre, inorder, cmp) {
+  return fromTraversal(pre, inorder, false, cmp);
+}
+
+// @param <array> post - post-order result
+// @param <array> inorder - in-order result
+// @param <function> cmp - optional comparator
+// @return <Node> root of the rebuilt tree
+function fromPostIn(post, inorder, cmp) {
+  return fromTraversal(post, inorder, true, cmp);
+}
+
+
+/*
+
+A BST can be rebuilt from its pre-order result alone, because its in-order result
+is the sorted keys. Going through the pre-order result, a key less than the last
+one is the left child of the last node. Otherwise it is the right child of the
+highest node on the current path which is still less than the key. The path is
+kept on a stack, and every node is pushed and popped once, so it takes O(n) time.
+
+Once we turned right at a node, all the following keys must be greater than it;
+a key breaking this lower bound means the sequence isn’t a pre-order result
+of any BST.
+
+*/
+
+// @param <array> pre - pre-order result of a BST
+// @param <function> cmp - optional comparator
+// @return <Node> root of the rebuilt tree
+function fromPreorderBST(pre, cmp) {
+  if (!utils.isArray(pre)) {
+    throw new TypeError();
+  }
+  cmp = utils.comparator(cmp);
+
+  if (!pre.length) {
+    return null;
+  }
+
+  var root = new bst.Node(pre[0]);
+  var stack = [root];
+  var lower = null;
+
+  for (var i = 1; i < pre.length; i++) {
+    let k = pre[i];
+    let x = new bst.Node(k);
+    let top = stack[stack.length - 1];
+
+    if (lower && cmp(k, lower.key) <= 0) {
+      throw new Error('Not a pre-order result of a BST, key ' + k +
+        ' at index ' + i + ' must be greater than ' + lower.key);
+    }
+
+    let c = cmp(k, top.key);
+    if (c === 0) {
+      throw new Error('Ambiguous traversal result, key ' + k +
+        ' appears more than once');
+    }
+    if (c < 0) {
+      top.left = x;
+      x.parent = top;
+    } else {
+      while (stack.length && cmp(k, stack[stack.length - 1].key) > 0) {
+        lower = stack.pop();
+      }
+      if (stack.length && cmp(k, stack[stack.length - 1].key) === 0) {
+        throw new Error('Ambiguous traversal result, key ' + k +
+          ' appears more than once');
+      }
+      lower.right = x;
+      x.parent = lower;
+    }
+    stack.push(x);
+  }
+  return root;
+}
+
+
+/*
+
+The pre-order and post-order results to store a tree are produced by the walks
+of the BST module.
+
+*/
+
+// @param <Node> T
+// @return <array> pre-order result
+function toPreOrder(T) {
+  var list = [];
+  bst.preOrderWalk(T, function(k) {
+    list.push(k);
+  });
+  return list;
+}
+
+// @param <Node> T
+// @return <array> post-order result
+function toPostOrder(T) {
+  var list = [];
+  bst.postOrderWalk(T, function(k) {
+    list.push(k);
+  });
+  return list;
+}
+
+
 /*
 
 Exercise 1.2
@@ -61,5 +315,18 @@ Exercise 1.4
 
 • Write a randomly building process for binary search tree.
 
+  See fromListRandom in binary_search_tree.js, which shuffles the list before
+  building the tree, and treap.js, which keeps the tree random while the
+  elements are inserted and deleted one by one.
+
 */
 
+
+
+module.exports = {
+  fromPreIn: fromPreIn,
+  fromPostIn: fromPostIn,
+  fromPreorderBST: fromPreorderBST,
+  toPreOrder: toPreOrder,
+  toPostOrder: toPostOrder
+};
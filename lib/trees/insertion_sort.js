@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+
+/**
+ * Elementary Algorithms in JavaScript
+ *
+ * Creator:
+ * Peter Bakondy
+ * https://github.com/pbakondy/elementary-algorithms-in-javascript/
+ *
+ * Based on:
+ * Elementary Algorithms and Data structures
+ * by Larry LIU Xinyu <liuxinyu95@gmail.com>
+ * https://github.com/liuxinyu95/AlgoXY
+ *
+ * License: GNU GPLv3
+ */
+
+'use strict';
+
+var utils = require('../utils/utils.js');
+var bst = require('./binary_search_tree.js');
+
+
+/*
+
+2.1 Introduction
+
+Insertion sort is the way most people sort a hand of playing cards: take the
+cards one by one, and insert each into its proper position among the already
+sorted ones.
+
+  sort [] = []
+  sort (x : xs) = insert x (sort xs)
+
+The idea is simple, but the cost of insert depends on the data structure: finding
+the position needs comparisons, and making room for the element needs moves.
+This chapter follows how the data structure evolves from the array to the binary
+search tree, to make both of them fast.
+
+All the functions below sort the array A in place in ascending order of the
+comparator, and return it. The optional stats object is filled with the number
+of comparisons (calls of the comparator) and moves (elements written into the
+array or linked into a list or tree).
+
+*/
+
+// @return <function> cmp, counting the comparisons in stats
+function counting(cmp, stats) {
+  cmp = utils.comparator(cmp);
+  if (stats === undefined || stats === null) {
+    return cmp;
+  }
+  if (typeof stats !== 'object') {
+    throw new TypeError();
+  }
+
+  stats.comparisons = 0;
+  stats.moves = 0;
+  return function(a, b) {
+    stats.comparisons = stats.comparisons + 1;
+    return cmp(a, b);
+  };
+}
+
+function checkArray(A) {
+  if (!utils.isArray(A)) {
+    throw new TypeError();
+  }
+}
+
+
+/*
+
+2.2 Insertion
+
+In an array, the sorted part is A[0 .. i), and the element x = A[i] is inserted
+by scanning from right to left: every greater element is shifted one position to
+the right, until the position of x is found. Equal elements are not passed, so
+the sort is stable.
+
+Both the comparisons and the moves are O(i) for every insertion, so insertion
+sort takes O(n²) time. For almost sorted input, however, it is O(n).
+
+*/
+
+// @param <array> A
+// @param <function> cmp - optional comparator
+// @param <object> stats - optional, receives comparisons and moves
+// @return <array> A sorted in place
+function insertionSort(A, cmp, stats) {
+  checkArray(A);
+  cmp = counting(cmp, stats);
+  var moves = 0;
+
+  for (var i = 1; i < A.length; i++) {
+    let x = A[i];
+    let j = i - 1;
+    while (j >= 0 && cmp(x, A[j]) < 0) {
+      A[j + 1] = A[j];
+      moves = moves + 1;
+      j = j - 1;
+    }
+    if (j + 1 !== i) {
+      A[j + 1] = x;
+      moves = moves + 1;
+    }
+  }
+
+  if (stats) {
+    stats.moves = moves;
+  }
+  return A;
+}
+
+
+/*
+
+2.3 Improvement 1: binary search
+
+Since the sorted part is sorted, the position can be found by binary search in
+O(lg i) comparisons: it is after the last element not greater than x, so the
+sort stays stable. The elements still have to be shifted, so the moves are O(n²)
+in total. This helps when comparisons are expensive (comparing long strings
+for example), and moves are cheap.
+
+*/
+
+// @param <array> A
+// @param <function> cmp - optional comparator
+// @param <object> stats - optional, receives comparisons and moves
+// @return <array> A sorted in place
+function binaryInsertionSort(A, cmp, stats) {
+  checkArray(A);
+  cmp = counting(cmp, stats);
+  var moves = 0;
+
+  for (var i = 1; i < A.length; i++) {
+    let x = A[i];
+    // the first element in A[0 .. i) greater than x
+    let l = 0;
+    let u = i;
+    while (l < u) {
+      let m = l + Math.floor((u - l) / 2);
+      if (cmp(x, A[m]) < 0) {
+        u = m;
+      } else {
+        l = m + 1;
+      }
+    }
+    for (let j = i; j > l; j--) {
+      A[j] = A[j - 1];
+      moves = moves + 1;
+    }
+    if (l !== i) {
+      A[l] = x;
+      moves = moves + 1;
+    }
+  }
+
+  if (stats) {
+    stats.moves = moves;
+  }
+  return A;
+}
+
+
+/*
+
+2.4 Improvement 2: linked list
+
+In a linked list, an element is inserted by changing two links, in O(1) time,
+and nothing is shifted. But a linked list can’t be binary searched, so finding
+the position takes O(i) comparisons again: the list is scanned from the head.
+So the comparisons are O(n²), and the moves only O(n). The sorted list is copied
+back to the array, these writes are not counted.
+
+*/
+
+// @param <array> A
+// @param <function> cmp - optional comparator
+// @param <object> stats - optional, receives comparisons and moves
+// @return <array> A sorted in place
+function listInsertionSort(A, cmp, stats) {
+  checkArray(A);
+  cmp = counting(cmp, stats);
+  var moves = 0;
+
+  // the head is a sentinel
+  var head = { key: undefined, next: null };
+  for (var i = 0; i < A.length; i++) {
+    let p = head;
+    while (p.next && cmp(A[i], p.next.key) >= 0) {
+      p = p.next;
+    }
+    p.next = { key: A[i], next: p.next };
+    moves = moves + 1;
+  }
+
+  var k = 0;
+  for (var q = head.next; q; q = q.next) {
+    A[k++] = q.key;
+  }
+
+  if (stats) {
+    stats.moves = moves;
+  }
+  return A;
+}
+
+
+/*
+
+2.5 Final improvement: binary search tree
+
+The binary search tree combines the two: the position is found by binary search,
+and the element is linked in, without moving the others. Inserting all the
+elements into an empty tree, then traversing it in order is the tree sort of
+chapter 1:
+
+  sort = toList . fromList
+
+It takes O(n lg n) comparisons on average, and O(n) moves. The worst case is
+O(n²) comparisons, when the tree degenerates into a list (for sorted input, for
+example); the balanced trees of the next chapters solve it. fromList inserts the
+elements from the last to the first, and every element equal to one in the tree
+goes to its right, so the sort is not stable.
+
+*/
+
+// @param <array> A
+// @param <function> cmp - optional comparator
+// @param <object> stats - optional, receives comparisons and moves
+// @return <array> A sorted in place
+function treeSort(A, cmp, stats) {
+  checkArray(A);
+  cmp = counting(cmp, stats);
+
+  var sorted = bst.toList(bst.fromList(A, cmp));
+  for (var i = 0; i < sorted.length; i++) {
+    A[i] = sorted[i];
+  }
+
+  if (stats) {
+    stats.moves = A.length;
+  }
+  return A;
+}
+
+
+/*
+
+Bibliography
+
+[1] Thomas H. Cormen, Charles E. Leiserson, Ronald L. Rivest and Clifford
+    Stein. “Introduction to Algorithms, Second Edition”. ISBN:0262032937.
+    The MIT Press. 2001
+
+[2] Donald E. Knuth. “The Art of Computer Programming, Volume 3: Sorting and
+    Searching (2nd Edition)”. Addison-Wesley Professional; 2 edition (May 4,
+    1998) ISBN-10: 0201896850 ISBN-13: 978-0201896855
+
+*/
+
+
+
+module.exports = {
+  insertionSort: insertionSort,
+  binaryInsertionSort: binaryInsertionSort,
+  listInsertionSort: listInsertionSort,
+  treeSort: treeSort
+};
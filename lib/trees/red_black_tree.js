@@ -0,0 +1,418 @@
+#!/usr/bin/env node
+
+/**
+ * Elementary Algorithms in JavaScript
+ *
+ * Creator:
+ * Peter Bakondy
+ * https://github.com/pbakondy/elementary-algorithms-in-javascript/
+ *
+ * Based on:
+ * Elementary Algorithms and Data structures
+ * by Larry LIU Xinyu <liuxinyu95@gmail.com>
+ * https://github.com/liuxinyu95/AlgoXY
+ *
+ * License: GNU GPLv3
+ */
+
+'use strict';
+
+var utils = require('../utils/utils.js');
+var bst = require('./binary_search_tree.js');
+
+
+/*
+
+3.1 Introduction
+
+All the operations of the binary search tree are bound to O(h) time, where h is
+the height of the tree. Building a BST from a sorted list, for example
+fromList([1, 2, 3, ..., n]), gives a tree which is a linked list in fact, and
+every operation degrades to O(n).
+
+A red-black tree is a self-balancing binary search tree [1]. Every node is
+colored either red or black, and the tree satisfies the following properties:
+
+1. Every node is either red or black.
+
+2. The root is black.
+
+3. Every leaf (NIL) is black.
+
+4. If a node is red, then both its children are black.
+
+5. For each node, all paths from the node to descendant leaves contain the
+   same number of black nodes.
+
+The 4th property means there are no two adjacent red nodes, and with the 5th
+one, the longest path from the root to a leaf is at most twice as long as the
+shortest one. So a red-black tree with n nodes has height at most 2 lg(n + 1),
+and all the operations take O(lg n) time, whatever the order of the keys is.
+
+3.2 Data layout
+
+The node is the node of the BST with one extra color field. The NIL leaves are
+represented by null, as in the BST, and they count as black. Since the layout
+is the same, the querying functions of the BST (lookup, search, min, max, succ,
+pred, inOrderWalk, toList, the iterators and the range queries) work on
+red-black trees without any change, they are re-exported below.
+
+*/
+
+var RED = 'red';
+var BLACK = 'black';
+
+function isRed(x) {
+  return !!x && x.color === RED;
+}
+
+function isBlack(x) {
+  return !isRed(x);
+}
+
+
+/*
+
+3.3 Insertion
+
+The new key is inserted as a red leaf, just like in the BST. This doesn’t
+change the number of black nodes on any path, but it may break the 4th property
+if the parent of the new node is red as well (or the 2nd one, if the new node is
+the root). The fix-up goes up from the new node x while its parent is red:
+
+• Case 1: the uncle y (the sibling of the parent) is red. Recolor the parent and
+  the uncle black, the grandparent red, and continue from the grandparent;
+
+• Case 2: the uncle is black and x is an inner child (right child of a left
+  child, or the symmetric one). Rotate around the parent, which turns it into
+  case 3;
+
+• Case 3: the uncle is black and x is an outer child. Recolor the parent black,
+  the grandparent red, and rotate around the grandparent. The subtree now has a
+  black root, so the loop ends.
+
+Finally the root is colored black. Case 1 may go up O(lg n) times, while case 2
+and 3 run at most once, so an insertion takes O(lg n) time and at most two
+rotations.
+
+*/
+
+// @param <T> T - root of the tree
+// @param <*> k - new key
+// @param <function> cmp - optional comparator
+// @param <*> value - optional satellite data
+// @return <T> root of the new tree
+function insert(T, k, cmp, value) {
+  cmp = utils.comparator(cmp);
+
+  var x = new bst.Node(k, null, null, value);
+  var parent = null;
+  var y = T;
+
+  x.color = RED;
+
+  while (y) {
+    parent = y;
+    if (cmp(k, y.key) < 0) {
+      y = y.left;
+    } else {
+      y = y.right;
+    }
+  }
+  x.parent = parent;
+  if (!parent) {
+    T = x;
+  } else if (cmp(k, parent.key) < 0) {
+    parent.left = x;
+  } else {
+    parent.right = x;
+  }
+
+  return insertFixup(T, x);
+}
+
+function insertFixup(T, x) {
+  var parent, grandparent, uncle;
+
+  while (isRed(x.parent)) {
+    parent = x.parent;
+    grandparent = parent.parent;
+    if (parent === grandparent.left) {
+      uncle = grandparent.right;
+      if (isRed(uncle)) {
+        // case 1
+        parent.color = BLACK;
+        uncle.color = BLACK;
+        grandparent.color = RED;
+        x = grandparent;
+      } else {
+        if (x === parent.right) {
+          // case 2
+          x = parent;
+          T = bst.rotateLeft(T, x);
+          parent = x.parent;
+        }
+        // case 3
+        parent.color = BLACK;
+        grandparent.color = RED;
+        T = bst.rotateRight(T, grandparent);
+      }
+    } else {
+      uncle = grandparent.left;
+      if (isRed(uncle)) {
+        parent.color = BLACK;
+        uncle.color = BLACK;
+        grandparent.color = RED;
+        x = grandparent;
+      } else {
+        if (x === parent.left) {
+          x = parent;
+          T = bst.rotateRight(T, x);
+          parent = x.parent;
+        }
+        parent.color = BLACK;
+        grandparent.color = RED;
+        T = bst.rotateLeft(T, grandparent);
+      }
+    }
+  }
+  T.color = BLACK;
+  return T;
+}
+
+
+/*
+
+Building a tree from a list is the same fold as for the BST, but the result is
+balanced even for sorted input, so it takes O(n lg n) time.
+
+*/
+
+// @param <array> X
+// @param <function> cmp - optional comparator
+// @return <T> Tree
+function fromList(X, cmp) {
+  if (!utils.isArray(X)) {
+    throw new TypeError();
+  }
+
+  var T = null;
+  for (var i = 0; i < X.length; i++) {
+    T = insert(T, X[i], cmp);
+  }
+  return T;
+}
+
+
+/*
+
+3.4 Deletion
+
+Deleting a node z starts as in the BST. If z has at most one child, it is
+replaced by that child. Otherwise its successor y (the minimum of the right
+child) takes the place and the color of z, and y is replaced by its right child.
+Different from deleteNode of the BST, the nodes are moved instead of copying the
+keys, so a node found earlier still holds the same key.
+
+In both cases one node of the original color c is removed from its position,
+and x (possibly NIL) moves into it. If c is red, nothing changes. If c is black,
+every path through x lost a black node. We say x is ‘doubly black’, and the
+fix-up pushes the extra black up the tree. Let w be the sibling of x:
+
+• Case 1: w is red. Recolor w black, the parent red, and rotate around the
+  parent. The new sibling is black, which leads to one of the cases below;
+
+• Case 2: w is black and both its children are black. Recolor w red, which
+  removes one black from both sides, and continue from the parent;
+
+• Case 3: w is black, its inner child is red and its outer child is black. Swap
+  the colors of w and the inner child, and rotate around w. It becomes case 4;
+
+• Case 4: w is black and its outer child is red. Rotate around the parent, give
+  w the color of the parent, and color the parent and the outer child black.
+  The extra black is absorbed, so the loop ends.
+
+When x is red (or it is the root), it is simply colored black. Only case 2 may
+repeat, at most O(lg n) times, and there are at most three rotations, so the
+deletion takes O(lg n) time.
+
+*/
+
+// replace the subtree rooted at u with the subtree rooted at v
+function transplant(T, u, v) {
+  if (!u.parent) {
+    T = v;
+  } else if (u === u.parent.left) {
+    u.parent.left = v;
+  } else {
+    u.parent.right = v;
+  }
+  if (v) {
+    v.parent = u.parent;
+  }
+  return T;
+}
+
+// @param <T> T - root of the tree
+// @param <Node> z - node to delete
+// @return <T> root of the new tree
+function deleteNode(T, z) {
+  if (!z) {
+    return T;
+  }
+
+  var y = z;
+  var color = y.color;
+  var x, parent;
+
+  if (!z.left) {
+    x = z.right;
+    parent = z.parent;
+    T = transplant(T, z, z.right);
+  } else if (!z.right) {
+    x = z.left;
+    parent = z.parent;
+    T = transplant(T, z, z.left);
+  } else {
+    y = z.right;
+    while (y.left) {
+      y = y.left;
+    }
+    color = y.color;
+    x = y.right;
+    if (y.parent === z) {
+      parent = y;
+    } else {
+      parent = y.parent;
+      T = transplant(T, y, y.right);
+      y.right = z.right;
+      y.right.parent = y;
+    }
+    T = transplant(T, z, y);
+    y.left = z.left;
+    y.left.parent = y;
+    y.color = z.color;
+  }
+
+  z.left = z.right = z.parent = null;
+
+  if (color === BLACK) {
+    T = deleteFixup(T, x, parent);
+  }
+  return T;
+}
+
+// x may be NIL, so its parent is passed separately
+function deleteFixup(T, x, parent) {
+  var w;
+
+  while (x !== T && isBlack(x)) {
+    if (x === parent.left) {
+      w = parent.right;
+      if (isRed(w)) {
+        // case 1
+        w.color = BLACK;
+        parent.color = RED;
+        T = bst.rotateLeft(T, parent);
+        w = parent.right;
+      }
+      if (isBlack(w.left) && isBlack(w.right)) {
+        // case 2
+        w.color = RED;
+        x = parent;
+        parent = x.parent;
+      } else {
+        if (isBlack(w.right)) {
+          // case 3
+          w.left.color = BLACK;
+          w.color = RED;
+          T = bst.rotateRight(T, w);
+          w = parent.right;
+        }
+        // case 4
+        w.color = parent.color;
+        parent.color = BLACK;
+        w.right.color = BLACK;
+        T = bst.rotateLeft(T, parent);
+        x = T;
+      }
+    } else {
+      w = parent.left;
+      if (isRed(w)) {
+        w.color = BLACK;
+        parent.color = RED;
+        T = bst.rotateRight(T, parent);
+        w = parent.left;
+      }
+      if (isBlack(w.left) && isBlack(w.right)) {
+        w.color = RED;
+        x = parent;
+        parent = x.parent;
+      } else {
+        if (isBlack(w.left)) {
+          w.right.color = BLACK;
+          w.color = RED;
+          T = bst.rotateLeft(T, w);
+          w = parent.left;
+        }
+        w.color = parent.color;
+        parent.color = BLACK;
+        w.left.color = BLACK;
+        T = bst.rotateRight(T, parent);
+        x = T;
+      }
+    }
+  }
+  if (x) {
+    x.color = BLACK;
+  }
+  return T;
+}
+
+// @param <T> T - root of the tree
+// @param <*> k - key to delete
+// @param <function> cmp - optional comparator
+// @return <T> root of the new tree
+function deleteValue(T, k, cmp) {
+  return deleteNode(T, bst.search(T, k, cmp));
+}
+
+
+/*
+
+Bibliography
+
+[1] Thomas H. Cormen, Charles E. Leiserson, Ronald L. Rivest and Clifford
+    Stein. “Introduction to Algorithms, Second Edition”. ISBN:0262032937.
+    The MIT Press. 2001
+
+*/
+
+
+
+module.exports = {
+  RED: RED,
+  BLACK: BLACK,
+  insert: insert,
+  fromList: fromList,
+  deleteNode: deleteNode,
+  deleteValue: deleteValue,
+  lookup: bst.lookup,
+  search: bst.search,
+  min: bst.min,
+  max: bst.max,
+  succ: bst.succ,
+  pred: bst.pred,
+  inOrderWalk: bst.inOrderWalk,
+  toList: bst.toList,
+  InOrderIterator: bst.InOrderIterator,
+  lowerBound: bst.lowerBound,
+  upperBound: bst.upperBound,
+  lowerBoundNode: bst.lowerBoundNode,
+  upperBoundNode: bst.upperBoundNode,
+  floor: bst.floor,
+  ceiling: bst.ceiling,
+  range: bst.range,
+  rangeWalk: bst.rangeWalk,
+  countInRange: bst.countInRange
+};
@@ -0,0 +1,389 @@
+#!/usr/bin/env node
+
+/**
+ * Elementary Algorithms in JavaScript
+ *
+ * Creator:
+ * Peter Bakondy
+ * https://github.com/pbakondy/elementary-algorithms-in-javascript/
+ *
+ * Based on:
+ * Elementary Algorithms and Data structures
+ * by Larry LIU Xinyu <liuxinyu95@gmail.com>
+ * https://github.com/liuxinyu95/AlgoXY
+ *
+ * License: GNU GPLv3
+ */
+
+'use strict';
+
+
+/*
+
+6.1 Introduction
+
+The suffix tree of a string S is the Patricia of all the suffixes of S. Every
+substring of S is a prefix of some suffix, so every substring can be found by
+walking down from the root, in O(m) time for a pattern of length m, however
+long S is. This makes the suffix tree a powerful tool for string searching
+problems [1].
+
+To make sure that every suffix ends in a leaf (and not inside an edge, when it
+is a prefix of another suffix), a terminator, which appears nowhere else, is
+appended to the string. Then the tree of a string of length n has exactly n + 1
+leaves, and at most n internal nodes.
+
+Inserting all the suffixes one by one into a Patricia takes O(n^2) time. The
+edge labels are stored as [start, end) index pairs into the string, so every
+node takes O(1) space, but the time is still quadratic.
+
+6.2 Ukkonen’s algorithm
+
+Ukkonen’s algorithm [2] builds the tree on-line, that is, character by
+character from left to right, in O(n) time for a constant size alphabet. After
+processing S[0..i], the tree is the (implicit) suffix tree of the prefix. Three
+tricks make it linear:
+
+• Once a leaf, always a leaf. A leaf edge always ends at the current end of the
+  string, so the end is not stored; extending all the leaves is free.
+
+• The active point. The suffixes which are already in the tree implicitly
+  (inside an edge or at a node) are not inserted yet. They are counted by
+  ‘remainder’, and the position of the longest one is kept as the active point
+  (active node, active edge, active length). When the next character can’t be
+  followed from the active point, the edge is split and a new leaf is added,
+  then the active point moves to the next shorter suffix.
+
+• Suffix links. Every internal node for the string cα links to the node for α.
+  Following the link moves the active point to the next shorter suffix in
+  O(1) amortized time, instead of walking down from the root.
+
+The program below is iterative everywhere, so long texts don’t hit the
+recursion limit. The characters are stored as UTF-16 code units in an
+Int32Array, and the terminators are negative numbers, so they never match a
+character of a pattern.
+
+*/
+
+var Node = (function(){
+  // @param <number> start - start of the edge label in the text
+  // @param <number> end - end of the edge label (exclusive), Infinity for leaves
+  function Node(start, end) {
+    this.start = start;
+    this.end = end;
+    this.children = null;
+    this.link = null;
+    // length of the string from the root to the end of this node
+    this.depth = 0;
+    // start of the suffix, for leaves only
+    this.suffix = -1;
+  }
+
+  Node.prototype.child = function(c) {
+    return this.children ? this.children.get(c) : undefined;
+  };
+
+  Node.prototype.setChild = function(c, x) {
+    if (!this.children) {
+      this.children = new Map();
+    }
+    this.children.set(c, x);
+  };
+
+  return Node;
+})();
+
+// @param <Int32Array> text - with a unique terminator at the end
+// @return <Node> root of the suffix tree
+function build(text) {
+  var n = text.length;
+  var root = new Node(-1, -1);
+  var activeNode = root;
+  var activeEdge = 0;
+  var activeLength = 0;
+  var remainder = 0;
+
+  root.link = root;
+
+  for (var pos = 0; pos < n; pos++) {
+    let c = text[pos];
+    let lastNew = null;
+    remainder = remainder + 1;
+
+    while (remainder > 0) {
+      if (activeLength === 0) {
+        activeEdge = pos;
+      }
+      let next = activeNode.child(text[activeEdge]);
+      if (!next) {
+        // rule 2: a new leaf from the active node
+        activeNode.setChild(text[activeEdge], new Node(pos, Infinity));
+        if (lastNew) {
+          lastNew.link = activeNode;
+          lastNew = null;
+        }
+      } else {
+        let length = Math.min(next.end, pos + 1) - next.start;
+        if (activeLength >= length) {
+          // walk down along the edge
+          activeEdge = activeEdge + length;
+          activeLength = activeLength - length;
+          activeNode = next;
+          continue;
+        }
+        if (text[next.start + activeLength] === c) {
+          // rule 3: the suffix is already in the tree, stop this phase
+          if (lastNew && activeNode !== root) {
+            lastNew.link = activeNode;
+            lastNew = null;
+          }
+          activeLength = activeLength + 1;
+          break;
+        }
+        // rule 2: split the edge and add a new leaf
+        let split = new Node(next.start, next.start + activeLength);
+        split.link = root;
+        activeNode.setChild(text[activeEdge], split);
+        split.setChild(c, new Node(pos, Infinity));
+        next.start = next.start + activeLength;
+        split.setChild(text[next.start], next);
+        if (lastNew) {
+          lastNew.link = split;
+        }
+        lastNew = split;
+      }
+      remainder = remainder - 1;
+      if (activeNode === root && activeLength > 0) {
+        activeLength = activeLength - 1;
+        activeEdge = pos - remainder + 1;
+      } else if (activeNode !== root) {
+        activeNode = activeNode.link;
+      }
+    }
+  }
+
+  // close the leaves, and calculate the depths and the suffix starts
+  var stack = [root];
+  while (stack.length) {
+    let x = stack.pop();
+    if (!x.children) {
+      x.end = n;
+      x.suffix = n - x.depth;
+      continue;
+    }
+    for (let y of x.children.values()) {
+      y.depth = x.depth + Math.min(y.end, n) - y.start;
+      stack.push(y);
+    }
+  }
+  return root;
+}
+
+// @param <array> strings
+// @return <Int32Array> code units of the strings, each followed by its own
+//                      terminator -1, -2, ...
+function encode(strings) {
+  var n = strings.reduce(function(sum, s) {
+    return sum + s.length + 1;
+  }, 0);
+  var text = new Int32Array(n);
+  var k = 0;
+  strings.forEach(function(s, i) {
+    for (var j = 0; j < s.length; j++) {
+      text[k++] = s.charCodeAt(j);
+    }
+    text[k++] = -(i + 1);
+  });
+  return text;
+}
+
+// leaves of the subtree of x, iteratively
+function leaves(x) {
+  var result = [];
+  var stack = [x];
+  while (stack.length) {
+    let y = stack.pop();
+    if (y.children) {
+      for (let z of y.children.values()) {
+        stack.push(z);
+      }
+    } else {
+      result.push(y);
+    }
+  }
+  return result;
+}
+
+
+/*
+
+6.3 Searching
+
+To search a pattern, walk down from the root, comparing the pattern with the
+edge labels. If the whole pattern is consumed, it is a substring, and every leaf
+below the point where the walk ended is a suffix starting with the pattern, so
+their starts are the occurrences. It takes O(m) time to find the pattern, and
+O(k) more to list the k occurrences.
+
+The longest repeated substring is a substring that occurs at least twice, so it
+ends at an internal node, and it is the label of the deepest one. Since the edge
+label of a node ends at its end index, the label of the whole path is the
+substring of length depth ending there.
+
+*/
+
+var SuffixTree = (function(){
+  // @param <string> s
+  function SuffixTree(s) {
+    if (typeof s !== 'string') {
+      throw new TypeError();
+    }
+
+    this.string = s;
+    this.text = encode([s]);
+    this.root = build(this.text);
+  }
+
+  // @param <string> pattern
+  // @return <Node> the node at or below the end of pattern, or null
+  SuffixTree.prototype.locate = function(pattern) {
+    if (typeof pattern !== 'string') {
+      throw new TypeError();
+    }
+
+    var x = this.root;
+    var i = 0;
+    while (i < pattern.length) {
+      x = x.child(pattern.charCodeAt(i));
+      if (!x) {
+        return null;
+      }
+      for (var j = x.start; j < x.end && i < pattern.length; j++, i++) {
+        if (this.text[j] !== pattern.charCodeAt(i)) {
+          return null;
+        }
+      }
+    }
+    return x;
+  };
+
+  SuffixTree.prototype.contains = function(pattern) {
+    return this.locate(pattern) !== null;
+  };
+
+  // @return <array> start positions of pattern in the string, increasing
+  SuffixTree.prototype.occurrences = function(pattern) {
+    var x = this.locate(pattern);
+    if (!x) {
+      return [];
+    }
+    return leaves(x).map(function(y) {
+      return y.suffix;
+    }).filter(function(i) {
+      // the empty pattern matches the terminator-only suffix too
+      return i + pattern.length <= this.string.length;
+    }, this).sort(function(a, b) {
+      return a - b;
+    });
+  };
+
+  SuffixTree.prototype.longestRepeatedSubstring = function() {
+    var deepest = this.root;
+    var stack = [this.root];
+    while (stack.length) {
+      let x = stack.pop();
+      if (x.depth > deepest.depth) {
+        deepest = x;
+      }
+      if (x.children) {
+        for (let y of x.children.values()) {
+          if (y.children) {
+            stack.push(y);
+          }
+        }
+      }
+    }
+    return this.string.slice(deepest.end - deepest.depth, deepest.end);
+  };
+
+  return SuffixTree;
+})();
+
+
+/*
+
+6.4 Longest common substring
+
+The generalized suffix tree of the strings a and b is the suffix tree of
+a$b#, where $ and # are distinct terminators. Since $ occurs once, no internal
+node label contains it, so the internal nodes are the substrings which occur in a
+or b more than once in total. A leaf whose suffix starts in a (before $) marks a
+suffix of a. The longest common substring is the label of the deepest internal
+node with leaves from both strings below it. The marks are collected in a
+post-order walk, so the whole algorithm takes O(|a| + |b|) time.
+
+*/
+
+// @param <string> a
+// @param <string> b
+// @return <string> a longest string which is a substring of both a and b
+function longestCommonSubstring(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') {
+    throw new TypeError();
+  }
+
+  var text = encode([a, b]);
+  var root = build(text);
+  // bit 1: a leaf of a below, bit 2: a leaf of b below
+  var marks = new Map();
+  var deepest = root;
+
+  // each node is pushed twice: first to expand it, then to collect the marks
+  var stack = [root, false];
+  while (stack.length) {
+    let done = stack.pop();
+    let x = stack.pop();
+    if (!x.children) {
+      marks.set(x, x.suffix <= a.length ? 1 : 2);
+    } else if (!done) {
+      stack.push(x, true);
+      for (let y of x.children.values()) {
+        stack.push(y, false);
+      }
+    } else {
+      let mark = 0;
+      for (let y of x.children.values()) {
+        mark = mark | marks.get(y);
+        marks.delete(y);
+      }
+      marks.set(x, mark);
+      if (mark === 3 && x.depth > deepest.depth) {
+        deepest = x;
+      }
+    }
+  }
+
+  var s = a + '\u0000' + b;
+  return s.slice(deepest.end - deepest.depth, deepest.end);
+}
+
+
+/*
+
+Bibliography
+
+[1] Dan Gusfield. “Algorithms on Strings, Trees and Sequences: Computer
+    Science and Computational Biology”. Cambridge University Press; 1997.
+    ISBN: 0521585198
+
+[2] Esko Ukkonen. “On-line construction of suffix trees”. Algorithmica 14
+    (3): 249–260. 1995
+
+*/
+
+
+
+module.exports = {
+  SuffixTree: SuffixTree,
+  longestCommonSubstring: longestCommonSubstring
+};
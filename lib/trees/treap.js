@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+
+/**
+ * Elementary Algorithms in JavaScript
+ *
+ * Creator:
+ * Peter Bakondy
+ * https://github.com/pbakondy/elementary-algorithms-in-javascript/
+ *
+ * Based on:
+ * Elementary Algorithms and Data structures
+ * by Larry LIU Xinyu <liuxinyu95@gmail.com>
+ * https://github.com/liuxinyu95/AlgoXY
+ *
+ * License: GNU GPLv3
+ */
+
+'use strict';
+
+var utils = require('../utils/utils.js');
+var bst = require('./binary_search_tree.js');
+
+
+/*
+
+Treap, a randomly built binary search tree on the fly
+
+Exercise 1.4 asks for a randomly building process. Shuffling the list before
+building the tree works only if all the elements are known in advance. A treap
+(tree + heap) gives the same effect while the elements are inserted and deleted
+one by one [1].
+
+Every node gets a random priority besides its key. The tree is a BST by the
+keys, and a heap by the priorities: the priority of a node is not greater than
+the priorities of its children. If all the priorities are distinct, there is
+only one such tree, the one we would get by inserting the keys in increasing
+order of their priorities. Since the priorities are random, the tree is the
+same as a BST built from a random permutation, and its expected height is
+O(lg n).
+
+The nodes are the same as in the BST, with an extra priority field. So all the
+querying functions (lookup, search, min, max, succ, pred, toList, ...) of the
+BST work on treaps as well.
+
+*/
+
+
+/*
+
+Insertion
+
+The key is inserted as a new leaf, like in a BST. This may break the heap
+property, if the new node has smaller priority than its parent. In this case
+the node is rotated up, until its parent has smaller priority, or it becomes the
+root. Rotations keep the BST property (see rotateLeft and rotateRight in the
+BST chapter). Insertion takes O(lg n) expected time, and O(1) expected rotations.
+
+*/
+
+// @param <T> T - root of the treap
+// @param <*> k - new key
+// @param <number> priority - priority of the new node
+// @param <function> cmp - optional comparator
+// @return <T> root of the new treap
+function insert(T, k, priority, cmp) {
+  if (!utils.isNumber(priority)) {
+    throw new TypeError();
+  }
+  cmp = utils.comparator(cmp);
+
+  var x = new bst.Node(k);
+  var parent = null;
+  var y = T;
+
+  x.priority = priority;
+
+  while (y) {
+    parent = y;
+    if (cmp(k, y.key) < 0) {
+      y = y.left;
+    } else {
+      y = y.right;
+    }
+  }
+  x.parent = parent;
+  if (!parent) {
+    return x;
+  }
+  if (cmp(k, parent.key) < 0) {
+    parent.left = x;
+  } else {
+    parent.right = x;
+  }
+
+  while (x.parent && x.priority < x.parent.priority) {
+    if (x === x.parent.left) {
+      T = bst.rotateRight(T, x.parent);
+    } else {
+      T = bst.rotateLeft(T, x.parent);
+    }
+  }
+  return T;
+}
+
+
+/*
+
+Deletion
+
+Deletion is the reverse. While the node to delete has two children, it is
+rotated down: the child with smaller priority is raised above it, so the heap
+property holds for the raised child. When the node has at most one child, it is
+spliced out with deleteNode of the BST. Deletion takes O(lg n) expected time.
+
+*/
+
+// @param <T> T - root of the treap
+// @param <Node> x - node to delete
+// @return <T> root of the new treap
+function deleteNode(T, x) {
+  if (!x) {
+    return T;
+  }
+
+  while (x.left && x.right) {
+    if (x.left.priority < x.right.priority) {
+      T = bst.rotateRight(T, x);
+    } else {
+      T = bst.rotateLeft(T, x);
+    }
+  }
+  return bst.deleteNode(T, x);
+}
+
+// @param <T> T - root of the treap
+// @param <*> k - key to delete
+// @param <function> cmp - optional comparator
+// @return <T> root of the new treap
+function deleteValue(T, k, cmp) {
+  return deleteNode(T, bst.search(T, k, cmp));
+}
+
+
+/*
+
+The Treap object keeps the root together with the comparator and a seeded
+random generator for the priorities, so the same seed and the same operations
+always give the same tree.
+
+*/
+
+var Treap = (function(){
+  // @param <number> seed - optional seed of the random generator
+  // @param <function> cmp - optional comparator
+  function Treap(seed, cmp) {
+    if (seed === undefined) {
+      seed = Math.floor(Math.random() * 4294967296);
+    }
+
+    this.rand = utils.random(seed);
+    this.cmp = utils.comparator(cmp);
+    this.root = null;
+    this.size = 0;
+  }
+
+  Treap.prototype.insert = function(k) {
+    this.root = insert(this.root, k, this.rand(), this.cmp);
+    this.size = this.size + 1;
+    return this;
+  };
+
+  // @return <boolean> true if the key was found and removed
+  Treap.prototype.remove = function(k) {
+    var x = bst.search(this.root, k, this.cmp);
+    if (!x) {
+      return false;
+    }
+    this.root = deleteNode(this.root, x);
+    this.size = this.size - 1;
+    return true;
+  };
+
+  Treap.prototype.has = function(k) {
+    return bst.search(this.root, k, this.cmp) !== null;
+  };
+
+  Treap.prototype.toArray = function() {
+    return bst.toList(this.root);
+  };
+
+  Treap.prototype[Symbol.iterator] = function() {
+    return new bst.InOrderIterator(this.root);
+  };
+
+  return Treap;
+})();
+
+
+/*
+
+Bibliography
+
+[1] Raimund Seidel, Cecilia R. Aragon. “Randomized Search Trees”.
+    Algorithmica 16 (4/5): 464–497. 1996
+
+*/
+
+
+
+module.exports = {
+  insert: insert,
+  deleteNode: deleteNode,
+  deleteValue: deleteValue,
+  Treap: Treap
+};
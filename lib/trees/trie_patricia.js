@@ -0,0 +1,481 @@
+#!/usr/bin/env node
+
+/**
+ * Elementary Algorithms in JavaScript
+ *
+ * Creator:
+ * Peter Bakondy
+ * https://github.com/pbakondy/elementary-algorithms-in-javascript/
+ *
+ * Based on:
+ * Elementary Algorithms and Data structures
+ * by Larry LIU Xinyu <liuxinyu95@gmail.com>
+ * https://github.com/liuxinyu95/AlgoXY
+ *
+ * License: GNU GPLv3
+ */
+
+'use strict';
+
+var utils = require('../utils/utils.js');
+
+
+/*
+
+5.1 Introduction
+
+The binary search tree compares whole keys on every level. For integers and
+strings there is another way: the key itself can be split into digits (bits or
+characters), and every digit chooses a branch. Such a tree is called a trie
+(from ‘retrieval’) [1]. Its height is bound to the length of the key instead of
+the number of the elements, and the common prefixes of the keys are stored only
+once, which makes the trie the natural choice for prefix searches, like
+autocompletion or routing tables.
+
+5.2 Integer trie
+
+A binary trie stores non-negative integers. Starting from the root, the bits of
+the key are examined from the lowest one: 0 goes to the left, 1 goes to the
+right, until the remaining bits are all zero. This is called little-endian
+order. Big-endian order (starting from the highest bit) would map 1 and 01 to
+different nodes, while in little-endian order every integer has exactly one
+path: its last bit is always 1, except for 0, which is stored in the root.
+
+For example the key 4 (100 in binary) takes the path left, left, right.
+
+Since every node on the path may store a key, a key j is a ‘prefix’ of k if the
+path of j is the beginning of the path of k, that is, the lowest bits of k are
+the bits of j. All the operations follow one path, so they take O(m) time, where
+m is the number of the bits of the key.
+
+*/
+
+// @param <number> k
+// @return <boolean> true if k is a non-negative safe integer
+function isKey(k) {
+  return utils.isNumber(k) && k >= 0 && Number.isSafeInteger(k);
+}
+
+var IntTrie = (function(){
+  function Node() {
+    this.left = null;
+    this.right = null;
+    this.key = undefined;
+    this.value = undefined;
+  }
+
+  function IntTrie() {
+    this.root = new Node();
+    this.size = 0;
+  }
+
+  // @param <number> k - key
+  // @return <array> nodes on the path of k, the last one stores k; the path
+  //                 is shorter if some nodes don’t exist
+  IntTrie.prototype.path = function(k) {
+    var x = this.root;
+    var path = [x];
+    while (k > 0 && x) {
+      x = (k % 2 === 0) ? x.left : x.right;
+      k = Math.floor(k / 2);
+      if (x) {
+        path.push(x);
+      }
+    }
+    return (k === 0 && x) ? path : path.concat(null);
+  };
+
+  IntTrie.prototype.insert = function(k, v) {
+    if (!isKey(k)) {
+      throw new TypeError();
+    }
+
+    var x = this.root;
+    var key = k;
+    while (k > 0) {
+      if (k % 2 === 0) {
+        x = x.left = x.left || new Node();
+      } else {
+        x = x.right = x.right || new Node();
+      }
+      k = Math.floor(k / 2);
+    }
+    if (x.key === undefined) {
+      this.size = this.size + 1;
+    }
+    x.key = key;
+    x.value = v;
+    return this;
+  };
+
+  IntTrie.prototype.lookup = function(k) {
+    if (!isKey(k)) {
+      throw new TypeError();
+    }
+
+    var x = this.path(k).pop();
+    return x ? x.value : undefined;
+  };
+
+  IntTrie.prototype.has = function(k) {
+    if (!isKey(k)) {
+      throw new TypeError();
+    }
+
+    var x = this.path(k).pop();
+    return !!x && x.key !== undefined;
+  };
+
+  // Removes the key, and the nodes which became useless (no key and no
+  // children) from the bottom of the path.
+  // @return <boolean> true if the key was found and removed
+  IntTrie.prototype.delete = function(k) {
+    if (!isKey(k)) {
+      throw new TypeError();
+    }
+
+    var path = this.path(k);
+    var x = path.pop();
+    if (!x || x.key === undefined) {
+      return false;
+    }
+    x.key = undefined;
+    x.value = undefined;
+    this.size = this.size - 1;
+
+    while (path.length && !x.left && !x.right && x.key === undefined) {
+      let parent = path.pop();
+      if (parent.left === x) {
+        parent.left = null;
+      } else {
+        parent.right = null;
+      }
+      x = parent;
+    }
+    return true;
+  };
+
+  // @param <number> prefix
+  // @param <number> bits - number of the lowest bits of prefix to match
+  // @return <array> keys whose lowest bits are the same as those of prefix
+  //                 (k mod 2^bits = prefix mod 2^bits), in increasing order
+  IntTrie.prototype.keysWithPrefix = function(prefix, bits) {
+    if (!isKey(prefix) || !isKey(bits)) {
+      throw new TypeError();
+    }
+
+    var x = this.root;
+    var keys = [];
+    prefix = prefix % Math.pow(2, bits);
+    while (bits > 0 && x) {
+      // a key on the path matches, if the rest of the prefix is zero bits
+      if (prefix === 0 && x.key !== undefined) {
+        keys.push(x.key);
+      }
+      x = (prefix % 2 === 0) ? x.left : x.right;
+      prefix = Math.floor(prefix / 2);
+      bits = bits - 1;
+    }
+    var stack = x ? [x] : [];
+    while (stack.length) {
+      x = stack.pop();
+      if (x.key !== undefined) {
+        keys.push(x.key);
+      }
+      if (x.left) {
+        stack.push(x.left);
+      }
+      if (x.right) {
+        stack.push(x.right);
+      }
+    }
+    return keys.sort(utils.compare);
+  };
+
+  // @param <number> k
+  // @return <number> the longest stored prefix of k (the stored key with the
+  //                  most matching lowest bits), or null
+  IntTrie.prototype.longestPrefix = function(k) {
+    if (!isKey(k)) {
+      throw new TypeError();
+    }
+
+    var path = this.path(k);
+    for (var i = path.length - 1; i >= 0; i--) {
+      if (path[i] && path[i].key !== undefined) {
+        return path[i].key;
+      }
+    }
+    return null;
+  };
+
+  return IntTrie;
+})();
+
+
+/*
+
+5.3 Patricia
+
+The drawback of the trie is that a long key without branches takes a long chain
+of nodes. Patricia (Practical Algorithm To Retrieve Information Coded In
+Alphanumeric) [2] compresses such chains: every edge is labeled with a string
+instead of a single character, and every node either stores a key or has at
+least two children. The children are indexed by the first character of their
+labels, which are distinct.
+
+To insert a key, the tree is walked down as long as the edge labels are prefixes
+of the rest of the key. If an edge only shares a common prefix with the rest,
+the edge is split at the end of the common prefix: a new node gets the common
+part as its label, with the original child and the rest of the key below it.
+
+Deletion is the reverse: after the key is removed, a node with no key and only
+one child is merged with the child by concatenating the labels.
+
+All the operations walk one path, and compare every character of the key at most
+once, so they take O(m) time, where m is the length of the key, independent of
+the number of the keys.
+
+*/
+
+// length of the common prefix of the strings a and b
+function commonPrefixLength(a, b) {
+  var i = 0;
+  while (i < a.length && i < b.length && a[i] === b[i]) {
+    i = i + 1;
+  }
+  return i;
+}
+
+var Patricia = (function(){
+  function Node(label) {
+    this.label = label;
+    this.children = new Map();
+    this.hasKey = false;
+    this.value = undefined;
+  }
+
+  function Patricia() {
+    this.root = new Node('');
+    this.size = 0;
+  }
+
+  // @param <string> k
+  // @return <array> nodes from the root to the node storing k, or null if
+  //                 there is no such node
+  Patricia.prototype.path = function(k) {
+    var x = this.root;
+    var path = [x];
+    while (k.length) {
+      x = x.children.get(k[0]);
+      if (!x || k.slice(0, x.label.length) !== x.label) {
+        return null;
+      }
+      k = k.slice(x.label.length);
+      path.push(x);
+    }
+    return path;
+  };
+
+  Patricia.prototype.insert = function(k, v) {
+    if (typeof k !== 'string') {
+      throw new TypeError();
+    }
+
+    var x = this.root;
+    while (k.length) {
+      let child = x.children.get(k[0]);
+      if (!child) {
+        child = new Node(k);
+        x.children.set(k[0], child);
+        x = child;
+        break;
+      }
+      let n = commonPrefixLength(child.label, k);
+      if (n < child.label.length) {
+        // split the edge
+        let mid = new Node(child.label.slice(0, n));
+        child.label = child.label.slice(n);
+        mid.children.set(child.label[0], child);
+        x.children.set(k[0], mid);
+        child = mid;
+      }
+      x = child;
+      k = k.slice(n);
+    }
+    if (!x.hasKey) {
+      this.size = this.size + 1;
+    }
+    x.hasKey = true;
+    x.value = v;
+    return this;
+  };
+
+  Patricia.prototype.lookup = function(k) {
+    if (typeof k !== 'string') {
+      throw new TypeError();
+    }
+
+    var path = this.path(k);
+    return path ? path.pop().value : undefined;
+  };
+
+  Patricia.prototype.has = function(k) {
+    if (typeof k !== 'string') {
+      throw new TypeError();
+    }
+
+    var path = this.path(k);
+    return !!path && path.pop().hasKey;
+  };
+
+  // @return <boolean> true if the key was found and removed
+  Patricia.prototype.delete = function(k) {
+    if (typeof k !== 'string') {
+      throw new TypeError();
+    }
+
+    var path = this.path(k);
+    var x = path && path.pop();
+    if (!x || !x.hasKey) {
+      return false;
+    }
+    x.hasKey = false;
+    x.value = undefined;
+    this.size = this.size - 1;
+
+    if (x !== this.root && !x.children.size) {
+      let parent = path.pop();
+      parent.children.delete(x.label[0]);
+      x = parent;
+    }
+    if (x !== this.root && !x.hasKey && x.children.size === 1) {
+      // merge x with its only child
+      let child = x.children.values().next().value;
+      x.label = x.label + child.label;
+      x.children = child.children;
+      x.hasKey = child.hasKey;
+      x.value = child.value;
+    }
+    return true;
+  };
+
+  // @param <string> prefix
+  // @return <array> keys starting with prefix, in increasing order
+  Patricia.prototype.keysWithPrefix = function(prefix) {
+    if (typeof prefix !== 'string') {
+      throw new TypeError();
+    }
+
+    var x = this.root;
+    var word = '';
+    var rest = prefix;
+    while (rest.length) {
+      x = x.children.get(rest[0]);
+      if (!x) {
+        return [];
+      }
+      let n = commonPrefixLength(x.label, rest);
+      if (n < rest.length && n < x.label.length) {
+        return [];
+      }
+      word = word + x.label;
+      rest = rest.slice(n);
+    }
+
+    // pre-order walk, the children in decreasing order on the stack, so the
+    // keys come out in increasing order
+    var keys = [];
+    var stack = [[x, word]];
+    while (stack.length) {
+      let item = stack.pop();
+      let node = item[0];
+      if (node.hasKey) {
+        keys.push(item[1]);
+      }
+      let labels = Array.from(node.children.keys()).sort().reverse();
+      for (let c of labels) {
+        let child = node.children.get(c);
+        stack.push([child, item[1] + child.label]);
+      }
+    }
+    return keys;
+  };
+
+  // @param <string> s
+  // @return <string> the longest stored key which is a prefix of s, or null
+  Patricia.prototype.longestPrefix = function(s) {
+    if (typeof s !== 'string') {
+      throw new TypeError();
+    }
+
+    var x = this.root;
+    var word = '';
+    var longest = x.hasKey ? '' : null;
+    while (s.length) {
+      x = x.children.get(s[0]);
+      if (!x || s.slice(0, x.label.length) !== x.label) {
+        break;
+      }
+      word = word + x.label;
+      s = s.slice(x.label.length);
+      if (x.hasKey) {
+        longest = word;
+      }
+    }
+    return longest;
+  };
+
+  return Patricia;
+})();
+
+
+/*
+
+With Patricia, the word counting problem from the introduction of the binary
+search tree chapter can be solved as well. Every word is looked up and stored
+with the incremented count, then the words are listed in increasing order.
+Each word is processed in time proportional to its length.
+
+*/
+
+function wordcount(text) {
+  var dict = new Patricia();
+  var words = text.split(/\s+/);
+
+  for (var i = 0; i < words.length; i++) {
+    if (words[i].length) {
+      let value = dict.lookup(words[i]);
+      dict.insert(words[i], (value ? value + 1 : 1));
+    }
+  }
+
+  var wc = '';
+  for (let word of dict.keysWithPrefix('')) {
+    wc += [word, dict.lookup(word)] + '\n';
+  }
+
+  return wc;
+}
+
+
+/*
+
+Bibliography
+
+[1] Donald E. Knuth. “The Art of Computer Programming, Volume 3: Sorting and
+    Searching (2nd Edition)”. Addison-Wesley Professional; 2 edition (May 4,
+    1998) ISBN-10: 0201896850 ISBN-13: 978-0201896855
+
+[2] Donald R. Morrison. “PATRICIA – Practical Algorithm To Retrieve Information
+    Coded In Alphanumeric”. Journal of the ACM, 15 (4): 514–534. 1968
+
+*/
+
+
+
+module.exports = {
+  IntTrie: IntTrie,
+  Patricia: Patricia,
+  wordcount: wordcount
+};
@@ -16,8 +16,65 @@ function isFunction(value) {
   return typeof value === 'function';
 }
 
+// Int8Array, Uint32Array, Float64Array, ..., but not DataView
+function isTypedArray(value) {
+  return ArrayBuffer.isView(value) && !(value instanceof DataView);
+}
+
+// Default ordering of keys: numbers in increasing order.
+// A comparator returns a negative number if a < b, zero if a = b and a
+// positive number if a > b. NaN is neither less nor greater than any number, so
+// it would be equal to all of them; it is rejected instead.
+function compare(a, b) {
+  if (!isNumber(a) || !isNumber(b) || a !== a || b !== b) {
+    throw new TypeError();
+  }
+  if (a < b) {
+    return -1;
+  }
+  if (a > b) {
+    return 1;
+  }
+  return 0;
+}
+
+// @param <function> cmp - optional comparator
+// @return <function> cmp, or the default numeric comparator if cmp is not given
+function comparator(cmp) {
+  if (cmp === undefined || cmp === null) {
+    return compare;
+  }
+  if (!isFunction(cmp)) {
+    throw new TypeError();
+  }
+  return cmp;
+}
+
+// Seeded pseudo random number generator (mulberry32), so that randomized
+// algorithms can be reproduced.
+// @param <number> seed - 32 bit integer
+// @return <function> returns the next number in [0, 1) on each call
+function random(seed) {
+  if (!isNumber(seed)) {
+    throw new TypeError();
+  }
+
+  var state = seed >>> 0;
+  return function() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    var t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
 module.exports = {
   isNumber: isNumber,
   isArray: isArray,
-  isFunction: isFunction
+  isFunction: isFunction,
+  isTypedArray: isTypedArray,
+  compare: compare,
+  comparator: comparator,
+  random: random
 };
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+'use strict';
+
+// Compares the time and the memory of the minFree variants.
+//
+// Usage: node --expose-gc testing/benchmark.js [n ...]
+//
+// The input is a shuffled permutation of [0, n] without one number. Every
+// variant gets its own copy, since minFree4 rearranges its input. The memory is
+// the growth of the heap and of the array buffers during the call, after a
+// garbage collection before it, so it is the memory allocated by the call, if
+// no collection happens meanwhile. For small n it is dominated by the code
+// compiled during the first calls. Without --expose-gc it is not measured.
+// minFree1 takes O(n^2) time, it is skipped for large n.
+
+var libDir = '../lib/';
+
+var sfid = require(libDir + 'preface/smallest_free_id.js');
+var utils = require(libDir + 'utils/utils.js');
+
+var sizes = process.argv.slice(2).map(Number);
+if (!sizes.length) {
+  sizes = [1000, 100000, 1000000];
+}
+var quadraticLimit = 20000;
+
+function input(n, seed) {
+  var rand = utils.random(seed);
+  var A = [];
+  for (var i = 0; i <= n; i++) {
+    A.push(i);
+  }
+  // Fisher-Yates shuffle
+  for (var j = A.length - 1; j > 0; j--) {
+    let k = Math.floor(rand() * (j + 1));
+    let tmp = A[j];
+    A[j] = A[k];
+    A[k] = tmp;
+  }
+  var missing = A.pop();
+  return { list: A, missing: missing };
+}
+
+function memory() {
+  var usage = process.memoryUsage();
+  return usage.heapUsed + (usage.arrayBuffers || 0);
+}
+
+function measure(fn, A) {
+  if (global.gc) {
+    global.gc();
+  }
+  var before = memory();
+  var start = process.hrtime();
+  var result = fn(A);
+  var time = process.hrtime(start);
+  var after = memory();
+
+  return {
+    result: result,
+    ms: time[0] * 1e3 + time[1] / 1e6,
+    bytes: global.gc ? Math.max(after - before, 0) : undefined
+  };
+}
+
+function format(row) {
+  return row.map(function(cell, i) {
+    var s = String(cell);
+    return i === 0 ? (s + '                        ').slice(0, 24) : ('            ' + s).slice(-12);
+  }).join('');
+}
+
+if (!global.gc) {
+  console.log('Run with node --expose-gc to measure the memory.');
+}
+console.log(format(['variant', 'n', 'result', 'time (ms)', 'memory (KB)']));
+
+sizes.forEach(function(n) {
+  var data = input(n, n);
+  var variants = [
+    ['minFree1', sfid.minFree1, Array],
+    ['minFree2', sfid.minFree2, Array],
+    ['minFree3', sfid.minFree3, Array],
+    ['minFree4', sfid.minFree4, Array],
+    ['minFree5', sfid.minFree5, Array],
+    ['minFree5 (Uint32Array)', sfid.minFree5, Uint32Array]
+  ];
+
+  variants.forEach(function(variant) {
+    if (variant[1] === sfid.minFree1 && n > quadraticLimit) {
+      console.log(format([variant[0], n, '-', 'skipped', '-']));
+      return;
+    }
+
+    var A = variant[2] === Array ? data.list.slice() : Uint32Array.from(data.list);
+    var m = measure(variant[1], A);
+    if (m.result !== data.missing) {
+      throw new Error(variant[0] + ' returned ' + m.result + ' instead of ' + data.missing);
+    }
+    console.log(format([variant[0], n, m.result, m.ms.toFixed(2),
+      m.bytes === undefined ? '-' : Math.round(m.bytes / 1024)]));
+  });
+});
@@ -19,7 +19,26 @@ console.log('list =', list);
 console.log('minFree1(list) ->', sfid.minFree1(list));
 console.log('minFree2(list) ->', sfid.minFree2(list));
 console.log('minFree3(list) ->', sfid.minFree3(list));
+console.log('minFree4(list, { preserve: true }) ->', sfid.minFree4(list, { preserve: true }));
 console.log('minFree4(list) ->', sfid.minFree4(list));
+console.log('minFree5(list) ->', sfid.minFree5(list));
+console.log('minFree5(Uint32Array.from(list)) ->', sfid.minFree5(Uint32Array.from(list)));
+var dirtyList = [1003, 1000, -1, 1001, 2.5, NaN, 1004];
+console.log('dirtyList =', dirtyList);
+console.log('minFree2(dirtyList, { lowerBound: 1000 }) ->', sfid.minFree2(dirtyList, { lowerBound: 1000 }));
+console.log('minFree4(dirtyList, { lowerBound: 1000, preserve: true }) ->', sfid.minFree4(dirtyList, { lowerBound: 1000, preserve: true }));
+console.log('minFree3([0, 0, 1]) ->', sfid.minFree3([0, 0, 1]), ', minFree4([0, 0, 2]) ->', sfid.minFree4([0, 0, 2]));
+try {
+  sfid.minFree3(dirtyList, { lowerBound: 1000, strict: true });
+} catch (error) {
+  console.log('minFree3(dirtyList, { lowerBound: 1000, strict: true }) ->', error.name + ':', error.message);
+}
+console.log('');
+var allocator = new sfid.IdAllocator(list);
+console.log('IdAllocator(list).acquireMany(3) ->', allocator.acquireMany(3).join(', '));
+allocator.release(4);
+allocator.reserve(15);
+console.log('release(4), reserve(15), acquire() ->', allocator.acquire(), ', acquire() ->', allocator.acquire(), ', isUsed(15) ->', allocator.isUsed(15));
 console.log('');
 console.log('');
 
@@ -63,3 +82,367 @@ console.log('10000 -> ' + np.getNumber3(10000));
 
 console.log('');
 
+
+// Testing: Binary search tree
+
+var bst = require(libDir + 'trees/binary_search_tree.js');
+
+console.log('Testing: Binary search tree');
+console.log('');
+
+var bstList = [4, 3, 1, 2, 8, 7, 16, 10, 9, 14];
+console.log('list =', bstList);
+console.log('toList(fromList(list)) ->', bst.toList(bst.fromList(bstList.slice())));
+
+function byName(a, b) {
+  return a[0].localeCompare(b[0]) || a[1].localeCompare(b[1]);
+}
+
+var names = [['Smith', 'John'], ['Doe', 'Jane'], ['Smith', 'Anna'], ['Doe', 'Adam']];
+var nameTree = bst.fromList(names.slice(), byName);
+console.log('toList(fromList(names, byName)) ->', JSON.stringify(bst.toList(nameTree)));
+console.log('search(T, [\'Smith\', \'Anna\'], byName) ->', JSON.stringify(bst.search(nameTree, ['Smith', 'Anna'], byName).key));
+console.log('');
+var wordMap = new bst.TreeMap(function(a, b) {
+  return a.localeCompare(b);
+});
+'the quick brown fox jumps over the lazy dog'.split(' ').forEach(function(word) {
+  wordMap.set(word, (wordMap.get(word) || 0) + 1);
+});
+wordMap.delete('fox');
+console.log('TreeMap word count ->', JSON.stringify(Array.from(wordMap.entries())));
+console.log('TreeMap size ->', wordMap.size);
+console.log('');
+var tree = new bst.BinarySearchTree();
+bstList.forEach(function(k) {
+  tree.insert(k);
+});
+console.log('BinarySearchTree size ->', tree.size);
+console.log('succ(8) ->', tree.succ(8), ', pred(8) ->', tree.pred(8));
+tree.remove(8);
+console.log('remove(8), toArray() ->', tree.toArray());
+[
+  ['search(T, NaN)', function() {
+    return bst.search(tree.root, NaN);
+  }],
+  ['deleteValue(T, NaN)', function() {
+    return bst.deleteValue(tree.root, NaN);
+  }],
+  ['remove(NaN)', function() {
+    return tree.remove(NaN);
+  }]
+].forEach(function(test) {
+  try {
+    test[1]();
+    console.log(test[0], '-> not rejected');
+  } catch (e) {
+    console.log(test[0], '->', e.name);
+  }
+});
+var chain = new bst.BinarySearchTree();
+for (let k = 0; k < 20000; k++) {
+  chain.insert(k);
+}
+console.log('20000 keys inserted in order, min() ->', chain.min(), ', max() ->', chain.max());
+chain.clear();
+console.log('clear(), size ->', chain.size, ', max() ->', chain.max());
+console.log('');
+var firstThree = [];
+for (let k of tree) {
+  if (firstThree.length === 3) {
+    break;
+  }
+  firstThree.push(k);
+}
+console.log('first three keys ->', firstThree);
+console.log('reverse() ->', Array.from(tree.reverse()));
+console.log('');
+console.log('range(T, 3, 10) ->', Array.from(bst.range(tree.root, 3, 10)));
+console.log('countInRange(T, 3, 10) ->', bst.countInRange(tree.root, 3, 10));
+console.log('floor(T, 8) ->', bst.floor(tree.root, 8), ', ceiling(T, 8) ->', bst.ceiling(tree.root, 8));
+console.log('lowerBound(8) ->', tree.lowerBound(8), ', upperBound(9) ->', tree.upperBound(9), ', upperBound(16) ->', tree.upperBound(16));
+console.log('');
+var fig12 = bst.fromList([14, 9, 10, 16, 7, 8, 2, 1, 3, 4]);
+var walked = [];
+bst.preOrderWalk(fig12, function(k) {
+  walked.push(k);
+});
+console.log('preOrderWalk ->', walked.join(', '));
+walked = [];
+bst.postOrderWalk(fig12, function(k) {
+  walked.push(k);
+});
+console.log('postOrderWalk ->', walked.join(', '));
+walked = [];
+bst.levelOrderWalk(fig12, function(k) {
+  walked.push(k);
+});
+console.log('levelOrderWalk ->', walked.join(', '));
+console.log('height (foldTree) ->', bst.foldTree(function(l, k, r) {
+  return Math.max(l, r) + 1;
+}, 0, fig12));
+console.log('toList(mapTree(x -> 2x)) ->', bst.toList(bst.mapTree(function(k) {
+  return 2 * k;
+}, fig12)).join(', '));
+console.log('');
+var ex = require(libDir + 'trees/exercises.js');
+
+console.log('Testing: Exercise 1.1, rebuild a tree from traversal results');
+console.log('');
+var rebuilt = ex.fromPreIn([1, 2, 4, 3, 5, 6], [4, 2, 1, 5, 3, 6]);
+console.log('fromPreIn([1, 2, 4, 3, 5, 6], [4, 2, 1, 5, 3, 6]), post-order ->', ex.toPostOrder(rebuilt).join(', '));
+console.log('fromPreorderBST(pre-order of figure 1.2), in-order ->', bst.toList(ex.fromPreorderBST(ex.toPreOrder(fig12))).join(', '));
+var pairPre = JSON.parse('[[1, 0], [2, 0], [3, 1]]');
+var pairIn = JSON.parse('[[2, 0], [1, 0], [3, 1]]');
+console.log('fromPreIn(pairs from JSON, cmp), post-order ->', JSON.stringify(ex.toPostOrder(ex.fromPreIn(pairPre, pairIn, function(a, b) {
+  return a[0] - b[0] || a[1] - b[1];
+}))));
+try {
+  ex.fromPreIn([1, 2, 3], [3, 1, 4]);
+} catch (e) {
+  console.log('fromPreIn([1, 2, 3], [3, 1, 4]) ->', e.message);
+}
+console.log('');
+var treap = require(libDir + 'trees/treap.js');
+
+console.log('Testing: Randomly built binary search tree');
+console.log('');
+
+var height = function(T) {
+  return bst.foldTree(function(l, k, r) {
+    return Math.max(l, r) + 1;
+  }, 0, T);
+};
+var sorted = [];
+for (let i = 0; i < 1000; i++) {
+  sorted.push(i);
+}
+var randomTreap = new treap.Treap(2014);
+sorted.forEach(function(k) {
+  randomTreap.insert(k);
+});
+console.log('height of fromList(0..999) ->', height(bst.fromList(sorted.slice())));
+console.log('height of fromListRandom(0..999, 2014) ->', height(bst.fromListRandom(sorted, 2014)));
+console.log('height of Treap(2014) with 0..999 inserted ->', height(randomTreap.root));
+console.log('');
+var rbt = require(libDir + 'trees/red_black_tree.js');
+
+console.log('Testing: Red-black tree');
+console.log('');
+var rbTree = rbt.fromList(sorted);
+console.log('height of red-black fromList(0..999) ->', height(rbTree));
+rbTree = rbt.deleteValue(rbTree, 500);
+console.log('deleteValue(T, 500), succ(499) ->', rbt.succ(rbt.search(rbTree, 499)).key);
+console.log('range(T, 497, 503) ->', Array.from(rbt.range(rbTree, 497, 503)).join(', '), ', ceiling(T, 500) ->', rbt.ceiling(rbTree, 500));
+console.log('');
+var avl = require(libDir + 'trees/avl_tree.js');
+
+console.log('Testing: AVL tree');
+console.log('');
+var avlTree = avl.fromList(sorted);
+console.log('height of AVL fromList(0..999) ->', height(avlTree));
+avlTree = avl.deleteValue(avlTree, 500);
+console.log('deleteValue(T, 500), verify(T) ->', avl.verify(avlTree));
+console.log('verify(fromList([1, 2, 3])) of the BST ->', avl.verify(bst.fromList([1, 2, 3])));
+console.log('');
+var tp = require(libDir + 'trees/trie_patricia.js');
+
+console.log('Testing: Trie and Patricia');
+console.log('');
+var intTrie = new tp.IntTrie();
+[1, 4, 5, 9, 12, 13, 20].forEach(function(k) {
+  intTrie.insert(k, 'v' + k);
+});
+console.log('IntTrie lookup(9) ->', intTrie.lookup(9));
+console.log('IntTrie keysWithPrefix(1, 2) (k mod 4 = 1) ->', intTrie.keysWithPrefix(1, 2));
+console.log('IntTrie longestPrefix(29) ->', intTrie.longestPrefix(29));
+var patricia = new tp.Patricia();
+['another', 'an', 'bool', 'boy', 'zoo', 'ant'].forEach(function(k, i) {
+  patricia.insert(k, i);
+});
+patricia.delete('bool');
+console.log('Patricia keysWithPrefix(\'an\') ->', patricia.keysWithPrefix('an'));
+console.log('Patricia longestPrefix(\'antenna\') ->', patricia.longestPrefix('antenna'));
+console.log('wordcount(\'the quick the lazy dog\') ->', JSON.stringify(tp.wordcount('the quick the lazy dog')));
+console.log('');
+var suffixTree = require(libDir + 'trees/suffix_tree.js');
+
+console.log('Testing: Suffix tree');
+console.log('');
+var mississippi = new suffixTree.SuffixTree('mississippi');
+console.log('contains(\'ssip\') ->', mississippi.contains('ssip'), ', contains(\'spi\') ->', mississippi.contains('spi'));
+console.log('occurrences(\'ss\') ->', mississippi.occurrences('ss'));
+console.log('longestRepeatedSubstring() ->', mississippi.longestRepeatedSubstring());
+console.log('longestCommonSubstring(\'xabxac\', \'abcabxabcd\') ->', suffixTree.longestCommonSubstring('xabxac', 'abcabxabcd'));
+console.log('');
+var btree = require(libDir + 'trees/b_tree.js');
+
+console.log('Testing: B-tree');
+console.log('');
+var bTree = new btree.BTree(2);
+'GMPXACDEJKNORSTUVYZ'.split('').forEach(function(c) {
+  bTree.insert(c.charCodeAt(0), c);
+});
+console.log('insert G M P X A C D E J K N O R S T U V Y Z, size ->', bTree.size);
+['F', 'M', 'G', 'D', 'B'].forEach(function(c) {
+  bTree.remove(c.charCodeAt(0));
+});
+console.log('remove F M G D B, toList() ->', bTree.toList().map(function(k) {
+  return String.fromCharCode(k);
+}).join(''));
+console.log('range(\'K\', \'S\') ->', Array.from(bTree.range(75, 83)).map(function(k) {
+  return String.fromCharCode(k);
+}).join(''));
+console.log('verify() ->', bTree.verify());
+console.log('');
+var binaryHeap = require(libDir + 'heaps/binary_heap.js');
+
+console.log('Testing: Binary heap');
+console.log('');
+var heapList = [16, 14, 10, 8, 7, 9, 3, 2, 4, 1];
+console.log('heapify([16, 14, 10, 8, 7, 9, 3, 2, 4, 1]) ->', binaryHeap.heapify(heapList.slice()).join(', '));
+console.log('heapSort([16, 14, 10, 8, 7, 9, 3, 2, 4, 1]) ->', binaryHeap.heapSort(heapList.slice()).join(', '));
+var pq = new binaryHeap.BinaryHeap();
+var handles = heapList.map(function(k) {
+  return pq.push(k, 'task ' + k);
+});
+pq.decreaseKey(handles[0], 0);
+console.log('decreaseKey(16 -> 0), pop() ->', pq.pop(), ', peek() ->', pq.peek());
+console.log('');
+var mergeableHeaps = require(libDir + 'heaps/mergeable_heaps.js');
+
+console.log('Testing: Binomial heap, Fibonacci heap, and pairing heap');
+console.log('');
+['BinomialHeap', 'FibonacciHeap', 'PairingHeap'].forEach(function(name) {
+  var a = new mergeableHeaps[name]();
+  var b = new mergeableHeaps[name]();
+  var handles = heapList.map(function(k, i) {
+    return (i % 2 ? a : b).insert(k, 'task ' + k);
+  });
+  a.deleteMin();
+  b.deleteMin();
+  a.merge(b);
+  a.decreaseKey(handles[0], 0);
+  var keys = [];
+  while (!a.isEmpty()) {
+    keys.push(a.deleteMin().key);
+  }
+  console.log(name, 'merge, decreaseKey(16 -> 0), deleteMin()... ->', keys.join(', '), ', verify() ->', a.verify());
+  try {
+    a.decreaseKey(handles[0], -1);
+  } catch (e) {
+    console.log(name, 'decreaseKey(deleted handle) ->', e.message);
+  }
+});
+console.log('');
+var selectionSort = require(libDir + 'heaps/selection_sort.js');
+
+console.log('Testing: Selection sort');
+console.log('');
+['selectionSort', 'cocktailSort', 'tournamentSort', 'heapSelectionSort'].forEach(function(name) {
+  console.log(name + '([16, 14, 10, 8, 7, 9, 3, 2, 4, 1]) ->', selectionSort[name](heapList.slice()).join(', '));
+});
+var leaderboard = [['ann', 310], ['bob', 120], ['cid', 450], ['dan', 290], ['eve', 450]];
+console.log('topK(leaderboard, 3, by score descending) ->', selectionSort.topK(leaderboard, 3, function(a, b) {
+  return b[1] - a[1];
+}).map(function(player) {
+  return player.join(':');
+}).join(', '));
+console.log('');
+var queue = require(libDir + 'queues/queue.js');
+
+console.log('Testing: Queue');
+console.log('');
+var circular = new queue.CircularQueue(2);
+[1, 2, 3, 4, 5].forEach(function(x) {
+  circular.enqueue(x);
+});
+console.log('CircularQueue enqueue 1..5, dequeue() ->', circular.dequeue(), ', toArray() ->', circular.toArray().join(', '));
+try {
+  new queue.CircularQueue().dequeue();
+} catch (e) {
+  console.log('CircularQueue, dequeue() on empty queue ->', e.name + ':', e.message);
+}
+['PersistentQueue', 'RealtimeQueue'].forEach(function(name) {
+  var q0 = new queue[name]().enqueue(1).enqueue(2).enqueue(3);
+  var q1 = q0.dequeue().enqueue(4);
+  console.log(name, 'q0 ->', q0.toArray().join(', '), ', q0.dequeue().enqueue(4) ->', q1.toArray().join(', '), ', head() ->', q1.head());
+});
+console.log('');
+var Sequence = require(libDir + 'queues/sequence.js').Sequence;
+
+console.log('Testing: Sequence (finger tree)');
+console.log('');
+var seq = Sequence.from(sorted.slice(0, 10));
+var snapshot = seq.snoc(10).cons(-1);
+console.log('from(0..9).snoc(10).cons(-1) ->', snapshot.toArray().join(', '), ', original size ->', seq.size());
+var halves = snapshot.splitAt(6);
+console.log('splitAt(6) ->', halves[0].toArray().join(', '), '|', halves[1].toArray().join(', '));
+console.log('right ++ left, get(0) ->', halves[1].concat(halves[0]).get(0), ', head() / last() ->', snapshot.head(), '/', snapshot.last());
+console.log('');
+var quickMergeSort = require(libDir + 'sorting/quick_merge_sort.js');
+
+console.log('Testing: Quick sort and merge sort');
+console.log('');
+var unsorted = [3, 1, 4, 1, 5, 9, 2, 6, 5, 3, 5, 8, 9, 7, 9];
+console.log('quickSort(first pivot) ->', quickMergeSort.quickSort(unsorted.slice(), null, quickMergeSort.pivots.first).join(', '));
+console.log('quickSort(random pivot, seed 42) ->', quickMergeSort.quickSort(unsorted.slice(), null, quickMergeSort.pivots.random(42)).join(', '));
+['quickSort3Way', 'mergeSort', 'inPlaceMergeSort', 'bottomUpMergeSort', 'naturalMergeSort'].forEach(function(name) {
+  console.log(name + '() ->', quickMergeSort[name](unsorted.slice()).join(', '), ', stable ->', quickMergeSort[name].stable);
+});
+console.log('');
+var searching = require(libDir + 'sorting/searching.js');
+
+console.log('Testing: Searching');
+console.log('');
+console.log('quickSelect(unsorted, 7) ->', searching.quickSelect(unsorted.slice(), 7), ', medianOfMedians(unsorted, 7) ->', searching.medianOfMedians(unsorted.slice(), 7));
+var sortedList = quickMergeSort.mergeSort(unsorted.slice());
+console.log('lowerBound(sorted, 5) ->', searching.lowerBound(sortedList, 5), ', upperBound(sorted, 5) ->', searching.upperBound(sortedList, 5));
+console.log('floor(sorted, 0) ->', searching.floor(sortedList, 0), ', ceiling(sorted, 7.5) ->', searching.ceiling(sortedList, 7.5));
+console.log('range(sorted, 3, 6) ->', Array.from(searching.range(sortedList, 3, 6)).join(', '), ', countInRange ->', searching.countInRange(sortedList, 3, 6));
+console.log('saddleback(x^2 + y^3 = 100) ->', searching.saddleback(function(x, y) {
+  return x * x + y * y * y;
+}, 100).map(function(p) {
+  return '(' + p.join(', ') + ')';
+}).join(' '));
+console.log('kmpSearch(\'mississippi\', \'issi\') ->', searching.kmpSearch('mississippi', 'issi').join(', '), ', boyerMooreSearch ->', searching.boyerMooreSearch('mississippi', 'issi').join(', '));
+console.log('');
+var insertionSort = require(libDir + 'trees/insertion_sort.js');
+
+console.log('Testing: Insertion sort');
+console.log('');
+['insertionSort', 'binaryInsertionSort', 'listInsertionSort', 'treeSort'].forEach(function(name) {
+  var stats = {};
+  var result = insertionSort[name](unsorted.slice(), null, stats);
+  console.log(name + '() ->', result.join(', '), ', comparisons:', stats.comparisons, ', moves:', stats.moves);
+});
+var permuted = [];
+for (let i = 0; i < 20000; i++) {
+  permuted.push(i * 7919 % 20000);
+}
+[permuted, permuted.slice().sort(function(a, b) {
+  return a - b;
+})].forEach(function(large, i) {
+  var result = insertionSort.treeSort(large.slice());
+  var ok = result.every(function(x, j) {
+    return x === j;
+  });
+  console.log('treeSort(' + (i ? 'sorted' : 'permuted') + ' 0..19999) is sorted ->', ok);
+});
+console.log('');
+console.log('Testing: Smallest free ID of a stream');
+console.log('');
+var idChunks = ['18 4 8 9 1', '6 1 14 7 19\n3 0', ' 5 2 11 6\n'];
+sfid.minFreeStream(idChunks).then(function(id) {
+  console.log('minFreeStream([\'18 4 8 9 1\', \'6 1 14 7 19\\n3 0\', \' 5 2 11 6\\n\']) ->', id);
+  return sfid.minFreeStream([[0, 1, 2], 3, new Uint32Array([5, 6])]);
+}).then(function(id) {
+  console.log('minFreeStream([[0, 1, 2], 3, Uint32Array [5, 6]]) ->', id);
+  return sfid.minFreeStream([Buffer.from('0 1 2 3\n')]);
+}).then(function(id) {
+  console.log('minFreeStream([Buffer.from(\'0 1 2 3\\n\')]) ->', id);
+  return sfid.minFreeStream(['1000 1001 ', 'x 1003'], { lowerBound: 1000, strict: true });
+}).catch(function(error) {
+  console.log('minFreeStream([\'1000 1001 \', \'x 1003\'], { lowerBound: 1000, strict: true }) ->', error.name + ':', error.message);
+  console.log('');
+});